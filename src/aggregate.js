@@ -0,0 +1,88 @@
+// aggregate.js
+// GROUP BY and aggregate function (COUNT/SUM/AVG/MIN/MAX) evaluation for SELECT queries.
+import { getFieldValue } from './query.js';
+import { compareTyped } from './types.js';
+
+// Values a row contributes to a group key: array fields are unnested per (distinct) element
+function groupValues(value) {
+  if (Array.isArray(value)) return value.length ? [...new Set(value)] : [null];
+  return [value ?? null];
+}
+
+// Non-null values of a field across rows, with array fields flattened
+function fieldValues(rows, field) {
+  const out = [];
+  for (const row of rows) {
+    const v = getFieldValue(row, field);
+    if (Array.isArray(v)) out.push(...v);
+    else if (v !== null && v !== undefined) out.push(v);
+  }
+  return out;
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string' && v.trim() !== '' && !isNaN(v)) return Number(v);
+  return null;
+}
+
+function compareValues(a, b, field) {
+  const typed = compareTyped(a, b, field);
+  if (typed !== null) return typed;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+export function computeAggregate(aggregate, rows) {
+  const { fn, field } = aggregate;
+  if (fn === 'COUNT') {
+    if (field === '*') return rows.length;
+    return rows.filter(row => {
+      const v = getFieldValue(row, field);
+      return v !== null && v !== undefined;
+    }).length;
+  }
+  const values = fieldValues(rows, field);
+  if (fn === 'SUM' || fn === 'AVG') {
+    const nums = values.map(toNumber).filter(n => n !== null);
+    if (!nums.length) return null;
+    const sum = nums.reduce((acc, n) => acc + n, 0);
+    return fn === 'SUM' ? sum : sum / nums.length;
+  }
+  if (fn === 'MIN' || fn === 'MAX') {
+    if (!values.length) return null;
+    const dir = fn === 'MIN' ? 1 : -1;
+    return values.reduce((best, v) => (compareValues(v, best, field) * dir < 0 ? v : best));
+  }
+  throw new Error(`Unknown aggregate function: ${fn}`);
+}
+
+// Group rows by the given keys and compute each aggregate per group.
+// Without GROUP BY all rows form a single group (so COUNT(*) of nothing is 0).
+export function aggregateRows(rows, groupBy, aggregates) {
+  const groups = new Map();
+  for (const row of rows) {
+    let combos = [{}];
+    for (const key of groupBy) {
+      const next = [];
+      for (const combo of combos) {
+        for (const v of groupValues(getFieldValue(row, key))) next.push({ ...combo, [key]: v });
+      }
+      combos = next;
+    }
+    for (const combo of combos) {
+      const groupKey = JSON.stringify(groupBy.map(key => combo[key]));
+      if (!groups.has(groupKey)) groups.set(groupKey, { keys: combo, rows: [] });
+      groups.get(groupKey).rows.push(row);
+    }
+  }
+  if (groupBy.length === 0 && groups.size === 0) groups.set('[]', { keys: {}, rows: [] });
+
+  return Array.from(groups.values()).map(group => {
+    const out = { ...group.keys };
+    for (const aggregate of aggregates) out[aggregate.label] = computeAggregate(aggregate, group.rows);
+    return out;
+  });
+}
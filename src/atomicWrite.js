@@ -0,0 +1,146 @@
+// atomicWrite.js
+// Crash- and concurrency-safe file writes: an advisory <file>.lock, a check that the file still
+// matches what was read, and a temp file renamed over the target.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const LOCK_SUFFIX = '.lock';
+
+// How long to wait for another process's lock, and when an abandoned lock counts as stale
+const LOCK_TIMEOUT_MS = 2000;
+const STALE_LOCK_MS = 60000;
+
+// Signature of each file as first read by this process, keyed by absolute path
+const readSignatures = new Map();
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// { mtimeMs, size, hash } of a file on disk, or null when it does not exist
+export function fileSignature(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  return { mtimeMs: stat.mtimeMs, size: stat.size, hash: hashContent(fs.readFileSync(file)) };
+}
+
+// Remember what a file looked like when it was parsed; later reads keep the first signature so a
+// re-read just before writing cannot hide a concurrent change
+export function rememberRead(file, content) {
+  const key = path.resolve(file);
+  if (readSignatures.has(key)) return;
+  const stat = fs.statSync(file);
+  readSignatures.set(key, { mtimeMs: stat.mtimeMs, size: stat.size, hash: hashContent(content) });
+}
+
+export function forgetRead(file) {
+  readSignatures.delete(path.resolve(file));
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// A lock is stale when its owner has exited or it is older than STALE_LOCK_MS
+function isStaleLock(lockFile) {
+  try {
+    const { pid, time } = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    return !isProcessAlive(pid) || Date.now() - Date.parse(time) > STALE_LOCK_MS;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    // Unreadable or half-written lock: judge by its age
+    return Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS;
+  }
+}
+
+// Create <file>.lock exclusively, waiting up to timeout ms for another holder; returns a release function
+export function acquireLock(file, { timeout = LOCK_TIMEOUT_MS } = {}) {
+  const lockFile = file + LOCK_SUFFIX;
+  const deadline = Date.now() + timeout;
+  while (true) {
+    try {
+      const fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, time: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return () => fs.rmSync(lockFile, { force: true });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    if (isStaleLock(lockFile)) {
+      fs.rmSync(lockFile, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`${file} is locked by another process (${lockFile}); remove the lock file if no other todo command is running`);
+    }
+    sleep(50);
+  }
+}
+
+// Throw when the file changed on disk since rememberRead (same mtime and size count as unchanged,
+// otherwise the content hash decides)
+function assertUnchanged(file) {
+  const expected = readSignatures.get(path.resolve(file));
+  if (!expected) return;
+  const current = fileSignature(file);
+  if (current && current.mtimeMs === expected.mtimeMs && current.size === expected.size) return;
+  if (current && current.hash === expected.hash) return;
+  throw new Error(`Conflict: ${file} was ${current ? 'modified' : 'deleted'} by another process after it was read; nothing was written. Re-run the command.`);
+}
+
+// Write content to file through a temp file in the same directory and a rename, holding the lock
+export function writeFileAtomic(file, content) {
+  writeFilesAtomic([{ file, content }]);
+}
+
+// Write several files together: every lock is taken and every file checked for conflicts before
+// the first one is replaced, so a lock or conflict error leaves all of them untouched. onWritten runs
+// once every file is in place, before the locks are released (e.g. to journal the write).
+export function writeFilesAtomic(writes, { onWritten } = {}) {
+  const releases = [];
+  const tempFiles = [];
+  try {
+    // A fixed lock order keeps two processes writing overlapping sets from waiting on each other
+    const ordered = [...writes].sort((a, b) => path.resolve(a.file).localeCompare(path.resolve(b.file)));
+    for (const { file } of ordered) releases.push(acquireLock(file));
+    writes.forEach(({ file }) => assertUnchanged(file));
+
+    for (const { file, content } of writes) {
+      const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+      tempFiles.push(tempFile);
+      const fd = fs.openSync(tempFile, 'w');
+      try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      if (fs.existsSync(file)) fs.chmodSync(tempFile, fs.statSync(file).mode);
+    }
+    writes.forEach(({ file, content }, idx) => {
+      fs.renameSync(tempFiles[idx], file);
+      // Later writes in this process build on what was just written
+      forgetRead(file);
+      rememberRead(file, content);
+    });
+    onWritten?.();
+  } finally {
+    tempFiles.forEach(tempFile => fs.rmSync(tempFile, { force: true }));
+    releases.forEach(release => release());
+  }
+}
@@ -1,21 +1,28 @@
 #!/usr/bin/env node
 // cli.js
 import fs from 'fs';
+import path from 'path';
 import { parseFileToTree, loadFileLines, ensureIdOnNode } from './parser.js';
 import { lintLines } from './linter.js';
-import { collectTasks, multiKeySort } from './utils.js';
+import { collectTasks, multiKeySort, expandGlob, isGlobPattern, resolveIdByPrefix } from './utils.js';
 import { serializeTasksToLines } from './serializer.js';
-import { replaceTodoSection } from './fileSection.js';
+import { replaceTodoSection, extractTodoSection } from './fileSection.js';
+import { readJournal, recordWrite, recordUndo, recordRedo, undoState, writeGroup } from './journal.js';
 import { formatAsTable } from './tableFormatter.js';
-
-// Helper function to process escape sequences in parsed values
-function processEscapeSequences(value) {
-  return value
-    .replace(/\\n/g, '\n')
-    .replace(/\\r/g, '\r')
-    .replace(/\\t/g, '\t')
-    .replace(/\\\\/g, '\\');
-}
+import { formatAsCsv, formatAsTsv } from './csvFormatter.js';
+import { formatAsTree } from './treeFormatter.js';
+import { formatAsHtml } from './htmlFormatter.js';
+import { formatUnifiedDiff } from './diff.js';
+import { writeFileAtomic, writeFilesAtomic } from './atomicWrite.js';
+import { CONFIG_FILE, loadConfig, getView } from './config.js';
+import { parseQuery, parseScript, bindParams, parseParamValue, TRANSACTION_COMMANDS, evaluateWhere, evaluateExpression, processEscapeSequences, isAggregateQuery, getFieldValue, parseOrderBy, resolveHierarchyIds } from './query.js';
+import { annotateHierarchy, isHierarchyField, isDescendantOf, isAncestorOf, nestUnderSelectedAncestors, nestWithAncestors } from './hierarchy.js';
+import { locateTask, detachTask, placeTask, placeTasks } from './tree.js';
+import { prefixRow } from './join.js';
+import { planSelect, describeStep, executePlan } from './planner.js';
+import { IMPORT_FORMATS, EXPORT_FORMATS, parseImport, importRecords, formatExport } from './importer.js';
+import { stringifyYaml } from './yaml.js';
+import { now } from './types.js';
 
 // Helper function to validate tag names
 function validateTagName(tag) {
@@ -47,228 +54,268 @@ function validateStakeholderName(stakeholder) {
   return true;
 }
 
-// Simple SQL-like query parser
-function parseQuery(query) {
-  // Tokenize, handling quotes
-  const tokens = [];
-  let i = 0;
-  while (i < query.length) {
-    if (query[i] === '"' || query[i] === "'") {
-      const quote = query[i];
-      i++;
-      let str = '';
-      while (i < query.length) {
-        if (query[i] === '\\' && i + 1 < query.length) {
-          // Handle backslash escaping
-          const nextChar = query[i + 1];
-          if (nextChar === quote || nextChar === '\\') {
-            str += nextChar; // Add the escaped character
-            i += 2; // Skip both backslash and escaped character
-          } else {
-            str += query[i]; // Just add the backslash as-is
-            i++;
-          }
-        } else if (query[i] === quote) {
-          // Check if next character is also the same quote (SQL-style escape sequence)
-          if (i + 1 < query.length && query[i + 1] === quote) {
-            str += quote; // Add the escaped quote to the string
-            i += 2; // Skip both quote characters
-          } else {
-            // End of string
-            i++; // Skip the closing quote
-            break;
-          }
-        } else {
-          str += query[i];
-          i++;
-        }
-      }
-      tokens.push(str);
-    } else if (/\s/.test(query[i])) {
-      i++;
-    } else if (query[i] === ',') {
-      tokens.push(',');
-      i++;
-    } else {
-      let word = '';
-      while (i < query.length && !/\s/.test(query[i]) && query[i] !== ',') {
-        word += query[i];
-        i++;
-      }
-      tokens.push(word);
-    }
+// Replace the ## TODO sections of files ([{ file, lines, sectionLines }], lines = current content) and
+// return the written lines of each. With --dry-run nothing is written; a unified diff against the file
+// on disk is printed instead. Writes are atomic and refuse to clobber a file changed by another
+// process since it was read; either every file is written or none is. onWritten(written) runs while
+// the files are still locked.
+function writeTodoSections(changes, onWritten) {
+  const replaced = changes.map(({ lines, sectionLines }) => replaceTodoSection(lines, sectionLines));
+  if (dryRun) {
+    changes.forEach(({ file }, idx) => {
+      const exists = fs.existsSync(file);
+      const diff = formatUnifiedDiff(exists ? loadFileLines(file) : [], replaced[idx], {
+        fromFile: exists ? file : '/dev/null',
+        toFile: file
+      });
+      if (diff.length) console.log(diff.join('\n'));
+    });
+    return null;
+  }
+  try {
+    writeFilesAtomic(changes.map(({ file }, idx) => ({ file, content: replaced[idx].join('\n') })), {
+      onWritten: onWritten && (() => onWritten(replaced))
+    });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
   }
+  return replaced;
+}
 
-  i = 0;
+// Serialize task trees back into the ## TODO section of their files ([{ file, lines, tasks }]),
+// recording the changed files as one entry in the undo journal
+function writeTasksToFiles(targets) {
+  const before = targets.map(({ file }) => (fs.existsSync(file) ? extractTodoSection(loadFileLines(file)) : null));
+  const changes = targets.map(({ file, lines, tasks }) => ({
+    file,
+    lines,
+    sectionLines: serializeTasksToLines(tasks, { indentSize: 2 })
+  }));
+  writeTodoSections(changes, written => {
+    const files = targets
+      .map(({ file }, idx) => ({ file, before: before[idx], after: extractTodoSection(written[idx]) }))
+      .filter(({ before, after }) => !before || before.join('\n') !== after.join('\n'));
+    if (files.length) recordWrite(argv._.join(' '), files);
+  });
+}
 
-  function peek() { return tokens[i]; }
-  function consume() { return tokens[i++]; }
-  function expect(word) {
-    if (peek()?.toUpperCase() !== word.toUpperCase()) throw new Error(`Expected '${word}', got '${peek()}'`);
-    return consume();
-  }
+function writeTasksToFile(file, lines, rootTasks) {
+  writeTasksToFiles([{ file, lines, tasks: rootTasks }]);
+}
 
-  const result = {};
+// `todo run` keeps every file it loads in memory ({ sources: Map(file -> source), touched: Set })
+// and writes the touched ones once the whole script has succeeded
+let script = null;
 
-  const command = consume().toUpperCase();
-  result.command = command;
+// Write a changed source now, or at the end of the script
+function saveSource(source) {
+  saveSources([source]);
+}
 
-  if (command === 'SELECT') {
-    result.fields = [];
-    if (peek() === '*') {
-      result.fields = ['*'];
-      consume();
-    } else {
-      while (peek() && peek().toUpperCase() !== 'FROM') {
-        result.fields.push(consume());
-        if (peek() === ',') consume();
-      }
+// Sources changed by one statement are written (and journaled) together
+function saveSources(sources) {
+  if (script) sources.forEach(source => script.touched.add(source));
+  else writeTasksToFiles(sources.map(source => ({ file: source.file, lines: source.parsed.lines, tasks: source.parsed.tasks })));
+}
+
+// With --dry-run, list the affected task ids once the diffs are printed
+function reportDryRun(ids) {
+  if (!dryRun) return;
+  if (ids) console.log(`Affected tasks: ${ids.length ? ids.join(', ') : '(none)'}`);
+  if (!script) console.log('Dry run: no files were written');
+}
+
+// Read one line from stdin synchronously (prompts go to stderr so stdout stays clean)
+function promptLine(question) {
+  process.stderr.write(question);
+  const buf = Buffer.alloc(1);
+  let answer = '';
+  while (true) {
+    let bytes;
+    try {
+      bytes = fs.readSync(0, buf, 0, 1);
+    } catch (err) {
+      if (err.code === 'EAGAIN') continue;
+      if (err.code === 'EOF') break;
+      throw err;
     }
-    expect('FROM');
-    result.file = consume();
-    if (peek() && peek().toUpperCase() === 'WHERE') {
-      consume();
-      const whereTokens = [];
-      while (peek() && peek().toUpperCase() !== 'ORDER' && peek().toUpperCase() !== 'INTO') {
-        whereTokens.push(consume());
+    if (bytes === 0 || buf[0] === 10) break;
+    answer += buf.toString('utf8', 0, bytes);
+  }
+  // Piped answers are not echoed by a terminal
+  if (!process.stdin.isTTY) process.stderr.write(`${answer}\n`);
+  return answer.trim();
+}
+
+// --interactive: show each change and ask before applying it.
+// y = apply, n = skip, a = apply this and all remaining, q = skip this and all remaining
+let confirmAll = false;
+let skipAll = false;
+function confirmChange(preview) {
+  if (!interactive || confirmAll) return true;
+  if (skipAll) return false;
+  console.error(preview.join('\n'));
+  const answer = promptLine('Apply this change? [y,n,a,q] ').toLowerCase();
+  if (answer === 'a') confirmAll = true;
+  if (answer === 'q') skipAll = true;
+  return answer === 'y' || answer === 'yes' || answer === 'a';
+}
+
+// Serialized line(s) of a single task, without its subtasks, for change previews
+function taskPreview(node, marker) {
+  return serializeTasksToLines([{ ...node, children: [] }], { indentSize: 2 }).map(line => `${marker} ${line}`);
+}
+
+// A task and all of its subtasks, in document order
+function subtreeNodes(node) {
+  return [node, ...(node.children || []).flatMap(subtreeNodes)];
+}
+
+function subtreeIds(node) {
+  return subtreeNodes(node).map(n => n.id);
+}
+
+// Resolve file paths and glob patterns (in order, without duplicates) and parse each file.
+// Exits on lint errors, on globs matching nothing, and on missing files unless allowMissing.
+// Inside `todo run` files already loaded (or created) by earlier statements come from memory.
+function loadSources(patterns, { allowMissing = false } = {}) {
+  const files = [];
+  for (const entry of patterns) {
+    const matches = expandGlob(entry);
+    if (!matches.length && script?.sources.has(entry)) matches.push(entry);
+    if (!matches.length) {
+      if (isGlobPattern(entry)) {
+        console.error(`No files match '${entry}'`);
+        process.exit(1);
       }
-      result.where = whereTokens;
-    }
-    if (peek() && peek().toUpperCase() === 'ORDER') {
-      expect('ORDER');
-      expect('BY');
-      result.orderBy = [];
-      while (peek() && peek().toUpperCase() !== 'LIMIT' && peek().toUpperCase() !== 'INTO') {
-        const key = consume();
-        let dir = 'asc';
-        if (peek() && (peek().toUpperCase() === 'ASC' || peek().toUpperCase() === 'DESC')) {
-          dir = consume().toLowerCase();
-        }
-        result.orderBy.push({ key, dir });
-        if (peek() === ',') consume();
+      if (!allowMissing) {
+        console.error('File required and must exist');
+        process.exit(1);
       }
+      matches.push(entry);
     }
-    if (peek() && peek().toUpperCase() === 'LIMIT') {
-      expect('LIMIT');
-      result.limit = parseInt(consume());
-      if (isNaN(result.limit)) throw new Error('LIMIT must be a number');
-    }
-    if (peek() && peek().toUpperCase() === 'INTO') {
-      expect('INTO');
-      result.into = consume();
-    }
-  } else if (command === 'UPDATE') {
-    result.file = consume();
-    expect('SET');
-    result.set = [];
-    while (peek() && peek().toUpperCase() !== 'WHERE') {
-      const key = consume();
-      const eq = consume();
-      if (eq !== '=') throw new Error('Expected = in SET');
-      const value = consume();
-      result.set.push({ key, value });
-      if (peek() === ',') consume();
-    }
-    if (peek() && peek().toUpperCase() === 'WHERE') {
-      consume();
-      const whereTokens = [];
-      while (peek()) {
-        whereTokens.push(consume());
-      }
-      result.where = whereTokens;
-    }
-  } else if (command === 'DELETE') {
-    expect('FROM');
-    result.file = consume();
-    if (peek() && peek().toUpperCase() === 'WHERE') {
-      consume();
-      const whereTokens = [];
-      while (peek()) {
-        whereTokens.push(consume());
+    for (const match of matches) {
+      if (!files.includes(match)) files.push(match);
+    }
+  }
+
+  return files.map(file => {
+    if (script?.sources.has(file)) return script.sources.get(file);
+    let source = { file, parsed: { tasks: [], lines: [] } };
+    if (fs.existsSync(file)) {
+      // Parse file -> throws on lint errors
+      try {
+        source = { file, parsed: parseFileToTree(file, { indentSize: 2, lint: true }) };
+      } catch (err) {
+        console.error(err.message);
+        process.exit(1);
       }
-      result.where = whereTokens;
-    }
-  } else if (command === 'INSERT') {
-    expect('INTO');
-    result.file = consume();
-    expect('SET');
-    result.set = [];
-    while (peek()) {
-      const key = consume();
-      const eq = consume();
-      if (eq !== '=') throw new Error('Expected = in SET');
-      const value = consume();
-      result.set.push({ key, value });
-      if (peek() === ',') consume();
     }
-  } else {
-    throw new Error(`Unknown command: ${command}`);
+    script?.sources.set(file, source);
+    return source;
+  });
+}
+
+// Flattened row for output and WHERE evaluation: id, in-memory parent (and file), then the task data
+function taskToRow(node, withFile = false) {
+  return {
+    id: node.id,
+    parent: node.parent ?? null,
+    ...(withFile ? { file: node.file } : {}),
+    ...node.data
+  };
+}
+
+// Row of the selected fields of a task (SELECT list or RETURNING), always led by id, parent and, in
+// multi-file queries, file; * selects every field
+function selectFields(node, fields, withFile) {
+  const task = taskToRow(node, withFile);
+  if (fields[0] === '*') return task;
+  const selected = { id: task.id, parent: task.parent };
+  if (withFile) selected.file = task.file;
+  fields.forEach(field => {
+    const value = isHierarchyField(field) ? getFieldValue(node, field) : task[field];
+    if (value !== undefined) selected[field] = value;
+  });
+  return selected;
+}
+
+// Output formats of --format/-o
+const OUTPUT_FORMATS = ['table', 'tree', 'json', 'ndjson', 'yaml', 'csv', 'tsv', 'html'];
+
+// Result rows as a Markdown table, JSON, NDJSON (one JSON object per line), YAML, CSV, TSV or an
+// HTML page ('' when there is nothing to print). options.title and options.subtitle head the HTML page.
+function formatRows(rows, format, options = {}) {
+  if (format === 'table') return formatAsTable(rows, options);
+  if (format === 'ndjson') return rows.map(row => JSON.stringify(row)).join('\n');
+  if (format === 'yaml') return stringifyYaml(rows).trimEnd();
+  if (format === 'csv' || format === 'tsv') return (format === 'csv' ? formatAsCsv : formatAsTsv)(rows, { ...options, ...delimitedOptions() });
+  if (format === 'html') return formatAsHtml(rows, { ...options, generated: now() });
+  return JSON.stringify(rows, null, 2);
+}
+
+function printRows(rows, format, options = {}) {
+  const text = formatRows(rows, format, options);
+  if (text) console.log(text);
+}
+
+// Print matched task nodes as a tree (--format tree) under their ancestors, unmatched ones dimmed.
+// rowOf(node) gives a node's row; options.columns picks the listed fields and with options.multiFile
+// each file's tree is printed under its name.
+function printTree(nodes, rowOf, options = {}) {
+  const color = !!process.stdout.isTTY && !('NO_COLOR' in process.env);
+  const roots = nestWithAncestors(nodes, (node, matched) => ({ node, row: matched ? rowOf(node) : null, children: [] }));
+  const treeOptions = { columns: options.columns, color };
+  if (!options.multiFile || !roots.length) {
+    console.log(formatAsTree(roots, treeOptions));
+    return;
+  }
+  for (const file of new Set(roots.map(entry => entry.node.file))) {
+    console.log(file);
+    console.log(formatAsTree(roots.filter(entry => entry.node.file === file), treeOptions));
   }
+}
 
-  return result;
+// Value an UPDATE/INSERT assignment stores on a task. Literals are converted as before (comma-separated
+// lists for tags/stakeholders, booleans and numbers otherwise); expressions such as `weight + 1`,
+// `tags - 'x'` or `CONCAT(...)` are evaluated against the task first. null means "remove the field".
+function assignedValue(task, assignment) {
+  const value = assignment.expr ? evaluateExpression(task, assignment.expr) : processEscapeSequences(assignment.value);
+  if (assignment.key === 'stakeholders' || assignment.key === 'tags') {
+    if (Array.isArray(value)) return value;
+    if (value === null) return [];
+    // Convert comma-separated string to array
+    return String(value).split(',').map(s => s.trim()).filter(s => s.length > 0);
+  }
+  if (typeof value !== 'string') return value;
+  // Convert boolean strings to actual booleans
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (!isNaN(value) && value !== '') return Number(value);
+  return value;
 }
 
-// Simple WHERE evaluator
-function evaluateWhere(task, whereTokens) {
-  if (!whereTokens || whereTokens.length === 0) return true;
-
-  // Handle IS NULL and IS NOT NULL operators
-  if (whereTokens.length >= 3 && whereTokens[1].toUpperCase() === 'IS') {
-    const key = whereTokens[0];
-    let taskValue = task[key];
-    if (taskValue === undefined && task.data) taskValue = task.data[key];
-    // Special handling for boolean fields
-    if ((key === 'completed' || key === 'skipped') && taskValue === undefined) {
-      taskValue = false;
-    }
-
-    if (whereTokens[2].toUpperCase() === 'NULL') {
-      // IS NULL: true if value is null, undefined, or false for boolean fields
-      return taskValue === null || taskValue === undefined ||
-        ((key === 'completed' || key === 'skipped') && taskValue === false);
-    } else if (whereTokens.length >= 4 &&
-      whereTokens[2].toUpperCase() === 'NOT' &&
-      whereTokens[3].toUpperCase() === 'NULL') {
-      // IS NOT NULL: true if value exists and is not false for boolean fields
-      return taskValue !== null && taskValue !== undefined &&
-        !((key === 'completed' || key === 'skipped') && taskValue === false);
-    }
-  }
-
-  // Simple: key op value
-  if (whereTokens.length >= 3) {
-    const key = whereTokens[0];
-    const op = whereTokens[1];
-    let value = whereTokens[2];
-    let taskValue = task[key];
-    if (taskValue === undefined && task.data) taskValue = task.data[key];
-    // Special handling for boolean fields
-    if ((key === 'completed' || key === 'skipped') && taskValue === undefined) {
-      taskValue = false;
-    }
-    let compareValue = value;
-    if (value === 'true') compareValue = true;
-    else if (value === 'false') compareValue = false;
-    else if (!isNaN(value)) compareValue = Number(value);
-    else compareValue = processEscapeSequences(value);
-    if (op === '=') {
-      return taskValue == compareValue;
-    } else if (op === '>') {
-      return taskValue > compareValue;
-    } else if (op === '<') {
-      return taskValue < compareValue;
-    } else if (op.toUpperCase() === 'CONTAINS') {
-      if (Array.isArray(taskValue)) {
-        return taskValue.includes(compareValue);
-      } else if (typeof taskValue === 'string') {
-        return taskValue.includes(compareValue);
-      }
-      return false;
+// Exit with a validation error if a tags/stakeholders value holds an invalid name
+function assertValidListItems(key, items) {
+  for (const item of items) {
+    if (key === 'tags' && !validateTagName(item)) {
+      console.error(`Error: Invalid tag name '${item}'. Tags may only contain letters, numbers, hyphens, and underscores. No spaces or # symbols are allowed.`);
+      process.exit(1);
+    }
+    if (key === 'stakeholders' && !validateStakeholderName(item)) {
+      console.error(`Error: Invalid stakeholder name '${item}'. Stakeholders may only contain letters, numbers, hyphens, and underscores. No spaces or @ symbols are allowed.`);
+      process.exit(1);
     }
   }
-  return true;
 }
 
+// Flags that never take a value, so `--dry-run "UPDATE ..."` keeps the query positional
+const BOOLEAN_FLAGS = ['dry-run', 'interactive', 'force', 'paginate', 'no-header', 'nested'];
+
+// Flags that may be given several times; their values are collected in an array
+const REPEATABLE_FLAGS = ['param'];
+
 // Simple argument parser to replace minimist
 function parseArgs(args) {
   const result = { _: [] };
@@ -277,8 +324,9 @@ function parseArgs(args) {
     const arg = args[i];
     if (arg.startsWith('--')) {
       const key = arg.slice(2);
-      if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
-        result[key] = args[i + 1];
+      if (!BOOLEAN_FLAGS.includes(key) && i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        if (REPEATABLE_FLAGS.includes(key)) result[key] = [...(result[key] || []), args[i + 1]];
+        else result[key] = args[i + 1];
         i += 2;
       } else {
         result[key] = true;
@@ -303,6 +351,8 @@ function parseArgs(args) {
 
 const argv = parseArgs(process.argv.slice(2));
 const cmd = argv._[0];
+const dryRun = !!argv['dry-run'];
+const interactive = !!argv.interactive;
 
 function printHelp() {
   console.log(`
@@ -311,7 +361,7 @@ NAME
 
 SYNOPSIS
        todo COMMAND [OPTIONS] [ARGUMENTS]
-       todo { query | lint | help }
+       todo { query | run | view | import | lint | undo | redo | history | help }
 
 DESCRIPTION
        todo is a command-line task management system that uses Markdown bullet 
@@ -323,29 +373,116 @@ DESCRIPTION
        Non-bullet content is preserved but ignored during task processing.
 
 COMMANDS
-       query <sql-query> [--format/-o/-o <format>]
+       query <sql-query> [--format/-o/-o <format>] [--dry-run] [--interactive]
               Execute a SQL-like query on a Markdown task file.
               
               Supported queries:
-                SELECT [fields] FROM <file> [WHERE condition] [ORDER BY keys] [LIMIT n] [INTO <output>]
-                UPDATE <file> SET assignments WHERE condition
-                DELETE FROM <file> WHERE condition
-                INSERT INTO <file> SET assignments
+                SELECT [fields] FROM <files> [WHERE condition] [GROUP BY keys] [HAVING condition]
+                       [ORDER BY keys] [LIMIT n] [OFFSET m] [INTO <output>]
+                UPDATE <files> SET assignments WHERE condition [RETURNING fields]
+                DELETE FROM <files> WHERE condition [RETURNING fields]
+                INSERT INTO <file> [UNDER|BEFORE|AFTER '<id>'] SET assignments [RETURNING fields]
+                MOVE FROM <files> WHERE condition
+                     {UNDER|BEFORE|AFTER '<id>' | TO ROOT} [INTO <file>]
+                EXPLAIN SELECT ...
+              
+              SELECT runs its clauses in a fixed order: scan, join, filter (WHERE),
+              group and HAVING, sort (ORDER BY), seek (--after), OFFSET, LIMIT,
+              then project the fields or write INTO (only the selected tasks).
+              EXPLAIN prints these steps for a query without running it.
+              
+              Comparisons and ORDER BY understand typed values: dates and
+              datetimes (2025-9-5, 2025-10-01T14:30Z) in time order, durations
+              (90m, 3h, 5d, 2w) by length, and priorities A-D by importance,
+              so priority > 'B' means A and ORDER BY priority DESC puts A first.
+              TODAY(), NOW() and DATE_ADD(date, duration) work in WHERE and SET,
+              e.g. WHERE due < DATE_ADD(TODAY(), 7d).
+              
+              ORDER BY keys take [COLLATE NOCASE|NATURAL] [ASC|DESC] [NULLS FIRST|LAST];
+              missing values otherwise come first with ASC and last with DESC.
+              NATURAL orders numbers in text by value (task 2 before task 10), and
+              FIELD(status, 'doing', 'todo', 'done') orders by a list of values.
+              
+              <files> can also be a single file joined with others:
+                <file> [alias] [LEFT] JOIN <file> [alias] ON condition ...
+              Fields are then qualified by alias (t.title, e.*).
+              
+              <files> is one or more comma-separated paths or glob patterns
+              (e.g. 'projects/**/*.task.md'). With several files each row gets
+              a 'file' column, and UPDATE/DELETE only rewrite changed files.
               
               Format options:
                 table  - Markdown table format (default)
+                tree   - Tasks drawn as a tree with their [x]/priority/@/# prefixes
+                         and selected fields; unmatched ancestors are dimmed
+                         (in parentheses when not printing to a terminal)
                 json   - JSON output
+                ndjson - One JSON object per line, for jq and other tools
+                yaml   - YAML list of rows
+                csv    - Comma-separated values (RFC 4180 quoting), same columns as table
+                tsv    - Tab-separated values, quoted like csv
+                html   - Standalone HTML page: sortable table, collapsible
+                         subtasks, tag/stakeholder badges and description/notes
+                         rendered as Markdown (see also todo report)
+              
+              CSV/TSV options:
+                --no-header              Leave out the header row
+                --array-separator <sep>  Join tags/stakeholders with <sep> (default ", ")
+              
+              YAML options (plain SELECT over tasks):
+                --nested   List each row under its nearest selected ancestor, as
+                           'children', instead of one flat list
+              
+              Pagination (plain SELECT over tasks, not with INTO):
+                --after <id>   Only rows after task <id> in the query's order
+                --paginate     JSON/YAML output becomes { rows: [...], next: <id|null> };
+                               next is the cursor for --after when LIMIT left rows
+                               over (table output prints a "Next page" line);
+                               implied by --after
+              
+              RETURNING prints the rows changed by UPDATE (after the change),
+              removed by DELETE or added by INSERT, in the selected format,
+              instead of the summary message.
+              
+              Placeholders (? and :name) in WHERE and SET values are bound after
+              parsing, so values need no quoting or escaping:
+                --param name=value   Value for :name (repeatable); ? placeholders
+                                     are named 1, 2, ... in order
+                --param-file <json>  Object of named values, or array for ?
+              $NAME or \${NAME} is the environment variable NAME.
+              
+              Write options (UPDATE, DELETE, INSERT, MOVE, SELECT ... INTO):
+                --dry-run      Print a unified diff of each file that would change and
+                               the affected task ids; nothing is written
+                --interactive  Show each change and ask before applying it
+                               (y = yes, n = no, a = this and all remaining, q = quit)
               
               Examples:
                 todo query "SELECT * FROM tasks.md"
                 todo query "SELECT title, priority FROM tasks.md WHERE completed = false"
+                todo query "SELECT * FROM tasks.md WHERE (priority = 'A' OR priority = 'B') AND NOT tags CONTAINS 'blocked'"
+                todo query "SELECT * FROM tasks.md WHERE priority IN ('A', 'B') AND title MATCHES /auth/i"
+                todo query "SELECT * FROM tasks.md WHERE due < DATE_ADD(TODAY(), 7d) AND effort <= 4h"
+                todo query "SELECT stakeholders, COUNT(*), SUM(weight) FROM tasks.md GROUP BY stakeholders HAVING COUNT(*) > 3"
                 todo query "SELECT * FROM tasks.md ORDER BY priority DESC"
-                todo query "SELECT * FROM tasks.md ORDER BY priority ASC, due DESC LIMIT 5"
-                todo query "SELECT * FROM tasks.md ORDER BY priority ASC, due DESC INTO sorted.md"
+                todo query "SELECT * FROM tasks.md ORDER BY priority DESC, due ASC LIMIT 5"
+                todo query -o json "SELECT * FROM tasks.md ORDER BY due LIMIT 20" --after a1b2c3d4
+                todo query "SELECT * FROM tasks.md ORDER BY FIELD(status, 'doing', 'todo'), due NULLS LAST"
+                todo query "SELECT * FROM tasks.md ORDER BY priority DESC, due ASC INTO sorted.md"
+                todo query "EXPLAIN SELECT title FROM tasks.md WHERE completed = false ORDER BY due LIMIT 5"
+                todo query "SELECT * FROM 'projects/**/*.task.md' WHERE stakeholders CONTAINS 'Alice'"
+                todo query "SELECT t.title, e.title FROM tasks.md t LEFT JOIN epics.md e ON t.epic = e.id"
                 todo query "UPDATE tasks.md SET priority = 'A' WHERE id = 1"
+                todo query "UPDATE tasks.md SET weight = weight + 1, due = due + 7d WHERE tags CONTAINS 'urgent'"
                 todo query "DELETE FROM tasks.md WHERE completed = true"
+                todo query -o json "UPDATE tasks.md SET priority = 'A' WHERE tags CONTAINS 'urgent' RETURNING id, title, priority"
                 todo query "INSERT INTO tasks.md SET title = 'New Task', priority = 'A', stakeholders = 'Rosa, Bob'"
+                todo query "INSERT INTO tasks.md UNDER 'a1b2c3d4' SET title = 'Design ECS'"
+                todo query "MOVE FROM tasks.md WHERE id = 'abc' UNDER 'def'"
+                todo query "DELETE FROM tasks.md WHERE skipped = true" --dry-run
+                todo query "UPDATE tasks.md SET title = :title WHERE id = ?" --param 1=a1b2c3d4 --param "title=$TITLE"
                 todo query "SELECT * FROM tasks.md" --format/-o table
+                todo query "SELECT title, tags, due FROM tasks.md" -o csv --array-separator ";" > tasks.csv
                 todo query -o json "SELECT * FROM tasks.md WHERE completed = false"
 
        lint <file>
@@ -361,6 +498,90 @@ COMMANDS
               Examples:
                 todo lint tasks.md
 
+       run [script] [--format/-o <format>] [--param name=value] [--dry-run] [--interactive]
+              Run ;-separated statements from a script file (or stdin) against
+              the files in memory, then write every touched file once. If any
+              statement fails, nothing is written. BEGIN, COMMIT and ROLLBACK
+              group statements; ROLLBACK discards changes since BEGIN.
+              --param/--param-file values are bound in every statement.
+              -- starts a comment up to the end of the line.
+              
+              Examples:
+                todo run cleanup.sql
+                echo "DELETE FROM tasks.md WHERE skipped = true" | todo run
+
+       import <file> [input] [--from ndjson|yaml] [--dry-run] [--interactive]
+              Insert task records from the input file or stdin into the TODO
+              tree of <file>. ndjson (default) is one JSON object per line, as
+              printed by -o ndjson; yaml is a list of task mappings whose
+              subtasks are nested under 'children', as printed by todo export
+              or -o yaml --nested. A record's 'parent' is the id of another
+              imported record or of a task already in <file>; records without
+              one, or whose parent is neither (a subtask selected without its
+              parent), go to the top level. Given ids are kept (they must be
+              new), others are computed. If any record is invalid, nothing is
+              written.
+              
+              Examples:
+                todo query -o ndjson "SELECT * FROM a.md WHERE tags CONTAINS 'q4'" | todo import b.md
+                jq -c '.[] | {title, due}' export.json | todo import tasks.md --from ndjson
+                todo export a.md | todo import b.md --from yaml
+
+       export <file> [--to yaml]
+              Print the whole TODO tree of <file> as YAML: every task with all
+              its fields and id, subtasks nested under 'children'. Importing
+              the output into an empty file rebuilds the same tree.
+              
+              Example:
+                todo export tasks.md > tasks.yaml
+
+       report <sql-query> --html <out.html> [--title <text>] [--param name=value]
+              Write the result of a SELECT to <out.html> as a self-contained
+              page (the html format, headed by --title, default "Task report",
+              and the query) to share with people who do not use the
+              terminal. --dry-run skips writing the page.
+              
+              Example:
+                todo report "SELECT * FROM tasks.md WHERE completed = false" --html status.html --title "Weekly status"
+
+       view [name [args...]] [--format/-o <format>] [--param name=value]
+              Run a named view from the nearest .todorc (in the current
+              directory or a parent), or list the views when no name is given.
+              .todorc is JSON or simple YAML (block mappings and lists, one-line
+              or | block values; no anchors, tags or [..]/{..} collections) with
+              a 'views' mapping; a view is a query string or { query, format,
+              columns, description }. Paths in views are relative to .todorc,
+              args bind ? placeholders in order, and a top-level 'format' is the
+              default for every view.
+              
+              Example .todorc:
+                views:
+                  mine: SELECT title, due FROM tasks.md WHERE stakeholders CONTAINS $USER ORDER BY due
+                  by:
+                    query: SELECT * FROM tasks.md WHERE stakeholders CONTAINS ?
+                    columns: title, due
+              
+              Examples:
+                todo view mine
+                todo view by Alice -o json
+
+       undo <file> [--force]
+       redo <file> [--force]
+              Revert (or re-apply) the most recent write to <file>. Every write
+              is journaled in .todo/journal next to the file, recording the
+              ## TODO section before and after. A write to several files (MOVE
+              ... INTO) is undone and redone in all of them, and refused while
+              one of them has a later write. If a file changed since the
+              journaled write, the command refuses unless --force is given.
+
+       history [file]
+              List journaled writes, undos and redos in the directory of
+              <file> (or the current directory).
+              
+              Examples:
+                todo undo tasks.md
+                todo history tasks.md
+
        help
               Display this help message and exit.
 
@@ -392,15 +613,72 @@ TASK SYNTAX
          key: "quoted value"     - Value with spaces
          key: |                  - Multi-line value (indented content follows)
 
+CONDITIONS
+       WHERE conditions compare a field with a value and can be combined:
+       
+       <key> { = | != | <> | > | < | >= | <= } <value>
+       <key> [NOT] CONTAINS <value>
+       <key> [NOT] IN (<value>, ...)
+       <key> [NOT] LIKE '<pattern>'        (% = any run, _ = any char)
+       <key> [NOT] BETWEEN <low> AND <high>
+       <key> [NOT] MATCHES /<regex>/<flags>
+       <key> IS [NOT] NULL
+       DESCENDANT OF '<id>'  |  ANCESTOR OF '<id>'  |  HAS CHILDREN
+       NOT <condition>
+       <condition> AND <condition>
+       <condition> OR <condition>
+       ( <condition> )
+       
+       NOT binds tighter than AND, which binds tighter than OR. For array
+       fields (tags, stakeholders) a predicate matches when any element does.
+       
+       Computed keys: depth (0 for top-level tasks), path (titles from the
+       root, joined with ' / ') and parent.<key> (a field of the parent task).
+
+ASSIGNMENTS
+       SET assigns literals or expressions computed from the task's fields:
+       
+       weight = weight + 1              numbers
+       tags = tags + 'urgent'           add to (or with -, remove from) an array
+       due = due + 7d                   shift a date by days (d) or weeks (w)
+       title = CONCAT('[WIP] ', title)  join text
+       
+       Operators must be surrounded by spaces. A missing field gives NULL,
+       which removes the assigned field.
+
+AGGREGATION
+       Aggregate functions collapse matching tasks into summary rows:
+       
+       COUNT(*)  COUNT(<key>)  SUM(<key>)  AVG(<key>)  MIN(<key>)  MAX(<key>)
+       
+       GROUP BY <key1>, <key2>, ... produces one row per distinct combination;
+       array fields (tags, stakeholders) are unnested so a task counts once per
+       element. HAVING filters the grouped rows and may reference aggregates or
+       their AS aliases. Selected non-aggregate fields must be grouped.
+
 ORDERING
-       The ORDER BY clause supports multiple keys with direction specifiers:
+       The ORDER BY clause supports multiple keys, each with an optional
+       collation, direction and placement of missing values:
        
-       ORDER BY <key1> [ASC|DESC], <key2> [ASC|DESC], ...
+       ORDER BY <key> [COLLATE BINARY|NOCASE|NATURAL] [ASC|DESC] [NULLS FIRST|LAST], ...
+       ORDER BY FIELD(<field>, '<value1>', '<value2>', ...) [ASC|DESC], ...
        
        Available keys include any task field (title, due, weight, priority, etc.)
        plus the special 'parent' key for grouping subtasks.
        
-       Default direction is ascending. Undefined values sort first.
+       Default direction is ascending. Dates, durations and priorities
+       compare as such (priority DESC puts A first). Missing (NULL) values
+       sort as the lowest: first with ASC, last with DESC; NULLS FIRST or
+       NULLS LAST puts them at either end whatever the direction.
+       
+       Text compares by character code (BINARY, so Z before a) unless the key
+       has a collation: NOCASE ignores case, NATURAL also orders runs of digits
+       by value (task 2 before task 10).
+       
+       FIELD(status, 'doing', 'todo', 'done') orders by position in the list;
+       values not in the list come after the listed ones, and DESC reverses
+       the list. The legacy 'todo select <file> orderby' command takes the
+       same sort keys.
 
 FILE FORMAT
        Tasks must be under a ## TODO heading. The heading will be created if
@@ -429,7 +707,7 @@ EXAMPLES
          todo query "SELECT * FROM project.md" --format/-o table
 
        Filter and sort by priority then due date:
-         todo query "SELECT * FROM project.md WHERE completed = false ORDER BY priority ASC, due DESC"
+         todo query "SELECT * FROM project.md WHERE completed = false ORDER BY priority DESC, due ASC"
 
        Sort by priority and display as table:
          todo query "SELECT * FROM project.md ORDER BY priority DESC" --format/-o table
@@ -457,8 +735,15 @@ EXIT STATUS
 
 function printUsageAndExit() {
   console.log(`Usage:
-  todo query <sql-query> [--format/-o <json|table>]
+  todo query <sql-query> [--format/-o <table|tree|json|ndjson|yaml|csv|tsv|html>] [--param name=value] [--after <id>] [--paginate] [--nested] [--dry-run] [--interactive]
   todo lint <file>
+  todo run [script] [--dry-run] [--interactive]
+  todo view [name [args...]]
+  todo import <file> [input] [--from ndjson|yaml] [--dry-run]
+  todo export <file> [--to yaml]
+  todo report <sql-query> --html <out.html> [--title <text>]
+  todo undo|redo <file> [--force]
+  todo history [file]
   todo help
   
 Use 'todo help' for detailed information.`);
@@ -493,223 +778,453 @@ if (cmd === 'lint') {
   process.exit(errors.length ? 1 : 0);
 }
 
-// Handle query command
-if (cmd === 'query') {
-  const queryStr = argv._[1];
-  if (!queryStr) {
-    console.error('Query string required');
-    process.exit(1);
-  }
-  let parsedQuery;
+// Undo/redo the most recent journaled write to a file, together with the other files that write changed
+if (cmd === 'undo' || cmd === 'redo') {
+  const file = argv._[1];
+  if (!file) { console.error('File required'); process.exit(1); }
+  const which = cmd === 'undo' ? 'applied' : 'undone';
+  let entry;
+  let group;
   try {
-    parsedQuery = parseQuery(queryStr);
+    entry = undoState(file)[which].at(-1);
+    if (entry) group = writeGroup(file, entry, which);
   } catch (err) {
-    console.error(`Query parsing error: ${err.message}`);
+    console.error(`Error: ${err.message}`);
     process.exit(1);
   }
+  if (!entry) { console.error(`Nothing to ${cmd} for ${file}`); process.exit(1); }
+
+  // Refuse to clobber edits made since the journaled write (or undo), unless --force
+  const changes = group.map(part => {
+    const name = path.basename(part.file);
+    const lines = fs.existsSync(part.file) ? loadFileLines(part.file) : [];
+    const expected = cmd === 'undo' ? part.entry.after[name] : part.entry.before[name];
+    if (JSON.stringify(extractTodoSection(lines)) !== JSON.stringify(expected) && !argv.force) {
+      console.error(`Error: The TODO section of ${part.file} changed since entry #${part.entry.seq}; use --force to ${cmd} anyway`);
+      process.exit(1);
+    }
+    const sectionLines = (cmd === 'undo' ? part.entry.before[name] : part.entry.after[name]) ?? [];
+    return { file: part.file, lines, sectionLines };
+  });
+
+  // One marker per journal, appended while the files are locked
+  writeTodoSections(changes, () => {
+    const entries = new Map(group.map(part => [path.dirname(path.resolve(part.file)), part.entry]));
+    entries.forEach((target, dir) => (cmd === 'undo' ? recordUndo : recordRedo)(dir, target));
+  });
+  console.log(`${cmd === 'undo' ? 'Undid' : 'Redid'} #${entry.seq} (${entry.command}) in ${group.map(part => part.file).join(', ')}`);
+  reportDryRun();
+  process.exit(0);
+}
 
-  const format = argv.format || argv.o || 'table';
-  if (!['json', 'table'].includes(format)) {
-    console.error(`Invalid format '${format}'. Supported formats: json, table`);
+// List journal entries for a file (or for every file in the current directory)
+if (cmd === 'history') {
+  const file = argv._[1];
+  let entries;
+  let undone;
+  try {
+    entries = readJournal(file ? path.dirname(file) : '.');
+    if (file) entries = entries.filter(entry => entry.files.includes(path.basename(file)));
+    const names = [...new Set(entries.flatMap(entry => entry.files))];
+    undone = new Set(names.flatMap(name => undoState(path.join(file ? path.dirname(file) : '.', name)).undone.map(e => e.seq)));
+  } catch (err) {
+    console.error(err.message);
     process.exit(1);
   }
-
-  const file = parsedQuery.file;
-  if (!file) {
-    console.error('File required');
-    process.exit(1);
+  if (!entries.length) {
+    console.log('No history');
+    process.exit(0);
+  }
+  for (const entry of entries) {
+    const time = entry.time.replace('T', ' ').slice(0, 19);
+    const what = entry.op === 'write' ? entry.command : `${entry.op} #${entry.target}`;
+    console.log(`#${entry.seq}  ${time}  ${entry.files.join(', ')}  ${what}${undone.has(entry.seq) ? '  (undone)' : ''}`);
   }
+  process.exit(0);
+}
 
-  let parsed;
-  if (fs.existsSync(file)) {
-    // Parse file -> throws on lint errors
+// Placeholder values: environment variables for $NAME, then --param-file <json> (an object keyed by
+// name, or an array for ? placeholders), then repeated --param name=value flags (positional ?
+// placeholders are named 1, 2, ...)
+function queryParams() {
+  const params = {};
+  for (const [key, value] of Object.entries(process.env)) params[`$${key}`] = parseParamValue(value);
+  if (argv['param-file']) {
+    let data;
     try {
-      parsed = parseFileToTree(file, { indentSize: 2, lint: true });
+      data = JSON.parse(fs.readFileSync(argv['param-file'], 'utf8'));
     } catch (err) {
-      console.error(err.message);
+      console.error(`Cannot read --param-file ${argv['param-file']}: ${err.message}`);
       process.exit(1);
     }
-  } else {
-    // For INSERT, allow creating new file
-    if (parsedQuery.command !== 'INSERT') {
-      console.error('File required and must exist');
+    if (Array.isArray(data)) data.forEach((value, idx) => { params[String(idx + 1)] = value; });
+    else if (data && typeof data === 'object') Object.assign(params, data);
+    else {
+      console.error(`--param-file ${argv['param-file']} must hold a JSON object or array`);
       process.exit(1);
     }
-    parsed = { tasks: [], lines: [] };
   }
-  const rootTasks = parsed.tasks;
+  for (const entry of [].concat(argv.param ?? [])) {
+    const eq = String(entry).indexOf('=');
+    if (eq <= 0) {
+      console.error(`Invalid --param '${entry}', expected name=value`);
+      process.exit(1);
+    }
+    params[entry.slice(0, eq).replace(/^:/, '')] = parseParamValue(entry.slice(eq + 1));
+  }
+  return params;
+}
 
-  if (parsedQuery.command === 'SELECT') {
-    // Flatten tasks for query/sort
-    let flat = collectTasks(rootTasks);
+// Output format of query results (--format/-o, else defaultFormat), exiting on unsupported ones
+function queryFormat(defaultFormat = 'table') {
+  const format = argv.format || argv.o || defaultFormat;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(`Invalid format '${format}'. Supported formats: ${OUTPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  return format;
+}
 
-    // Apply ORDER BY
-    if (parsedQuery.orderBy) {
-      multiKeySort(flat, parsedQuery.orderBy);
-    }
+// --no-header and --array-separator <sep> for csv/tsv output
+function delimitedOptions() {
+  if (argv['array-separator'] === true) {
+    console.error('--array-separator needs a value');
+    process.exit(1);
+  }
+  return { header: !argv['no-header'], arraySeparator: argv['array-separator'] ?? ', ' };
+}
 
-    let flatData = flat.map(n => ({
-      id: n.id,
-      parent: n.parent ?? null,
-      ...n.data
-    }));
+// --after <id>, --paginate and --nested for query and view
+function selectOptions() {
+  if (argv.after === true) {
+    console.error('--after needs a task id');
+    process.exit(1);
+  }
+  return { after: argv.after, paginate: argv.paginate, nested: argv.nested };
+}
 
-    // Apply WHERE filter
-    if (parsedQuery.where) {
-      flatData = flatData.filter(task => evaluateWhere(task, parsedQuery.where));
-    }
+// Execute one parsed query, printing its results; errors exit the process.
+// output.columns (from a view) picks and orders the printed fields; output.after (--after <id>)
+// starts a SELECT after that task, output.paginate prints the cursor of the next page and
+// output.nested (yaml) lists each task under its nearest selected ancestor as `children`, as html
+// always does. The tree format draws tasks, so it needs a SELECT over tasks. output.write(text)
+// receives the formatted rows instead of stdout; output.title and output.subtitle head an HTML page.
+function runStatement(parsedQuery, format, output = {}) {
+  const paging = output.after !== undefined || !!output.paginate;
+  const taskSelect = parsedQuery.command === 'SELECT' && !isAggregateQuery(parsedQuery) && !parsedQuery.alias && !parsedQuery.into;
+  if (paging && !taskSelect) {
+    console.error('Error: --after and --paginate only work with SELECT over tasks (no GROUP BY, aggregates, JOIN or INTO)');
+    process.exit(1);
+  }
+  if (output.nested && (format !== 'yaml' || !taskSelect || parsedQuery.explain)) {
+    console.error('Error: --nested only works with --format yaml and SELECT over tasks (no GROUP BY, aggregates, JOIN or INTO)');
+    process.exit(1);
+  }
+  const printsRows = parsedQuery.explain || parsedQuery.returning || (parsedQuery.command === 'SELECT' && !parsedQuery.into);
+  if (format === 'tree' && printsRows && (!taskSelect || parsedQuery.explain)) {
+    console.error('Error: --format tree only works with SELECT over tasks (no GROUP BY, aggregates, JOIN, EXPLAIN or RETURNING)');
+    process.exit(1);
+  }
+
+  // EXPLAIN prints the steps of the SELECT pipeline without reading any file
+  if (parsedQuery.explain) {
+    const steps = planSelect(parsedQuery, { after: output.after }).steps;
+    printRows(steps.map((step, idx) => ({ step: idx + 1, op: step.op, detail: describeStep(step) })), format, { columns: ['step', 'op', 'detail'] });
+    return;
+  }
 
-    // Apply LIMIT
-    if (parsedQuery.limit) {
-      flatData = flatData.slice(0, parsedQuery.limit);
+  const multiFile = parsedQuery.files.length > 1 || parsedQuery.files.some(isGlobPattern);
+  // For INSERT, allow creating new file
+  const sources = loadSources(parsedQuery.files, { allowMissing: parsedQuery.command === 'INSERT' });
+  const files = sources.map(source => source.file);
+  // DESCENDANT OF / ANCESTOR OF take id prefixes, like UNDER and --after
+  if (parsedQuery.where) {
+    const rootTasks = sources.flatMap(source => source.parsed.tasks);
+    try {
+      parsedQuery = { ...parsedQuery, where: resolveHierarchyIds(parsedQuery.where, id => resolveIdByPrefix(rootTasks, id)) };
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
     }
+  }
 
-    // Apply field selection
-    if (parsedQuery.fields && parsedQuery.fields[0] !== '*') {
-      flatData = flatData.map(task => {
-        const selected = { id: task.id, parent: task.parent };
-        parsedQuery.fields.forEach(field => {
-          if (task[field] !== undefined) selected[field] = task[field];
-        });
-        return selected;
-      });
+  function print(rows, options = {}, page = null) {
+    if (output.columns) {
+      // Nested rows keep their children
+      const pick = row => Object.assign(
+        Object.fromEntries(output.columns.map(column => [column, row[column] ?? null])),
+        row.children ? { children: row.children.map(pick) } : {}
+      );
+      rows = rows.map(pick);
+      options = { columns: output.columns };
+    }
+    if (!page) {
+      const text = formatRows(rows, format, { ...options, title: output.title, subtitle: output.subtitle });
+      if (output.write) output.write(text);
+      else if (text) console.log(text);
+      return;
+    }
+    // Paged JSON and YAML wrap the rows with the cursor of the next page (null on the last page)
+    if (format === 'json') {
+      console.log(JSON.stringify({ rows, next: page.next }, null, 2));
+    } else if (format === 'yaml') {
+      console.log(stringifyYaml({ rows, next: page.next }).trimEnd());
+    } else {
+      printRows(rows, format, options);
+      // ndjson/csv/tsv keep stdout parseable, so the hint goes to stderr
+      const hint = format === 'table' ? console.log : console.error;
+      if (page.next !== null) hint(`Next page: --after ${page.next}`);
     }
+  }
 
-    if (parsedQuery.into) {
-      // Write to file, similar to before
-      const idToNode = new Map();
-      function mapNodes(nodes) {
-        for (const n of nodes) { idToNode.set(n.id, n); if (n.children) mapNodes(n.children); }
-      }
-      mapNodes(rootTasks);
+  // RETURNING: print the affected rows in the --format instead of the summary message
+  function printReturning(nodes) {
+    print(nodes.map(node => selectFields(node, parsedQuery.returning, multiFile)));
+  }
 
-      const parentGroups = new Map();
-      for (const n of flat) {
-        const pid = n.parent ?? '__root';
-        if (!parentGroups.has(pid)) parentGroups.set(pid, []);
-        parentGroups.get(pid).push(n);
-      }
+  // Flatten every source; in multi-file queries each task carries its (in-memory only) file
+  // and knows its depth, path and parent task (for hierarchy predicates)
+  function collectSourceTasks(source) {
+    const tasks = collectTasks(annotateHierarchy(source.parsed.tasks));
+    if (multiFile) tasks.forEach(task => { task.file = source.file; });
+    return tasks;
+  }
 
-      function buildTreeForParent(parentId) {
-        const arr = [];
-        const group = parentGroups.get(parentId) || [];
-        for (const entry of group) {
-          const node = idToNode.get(entry.id) || entry;
-          node.children = buildTreeForParent(node.id);
-          arr.push(node);
+  if (parsedQuery.command === 'SELECT') {
+    const plan = planSelect(parsedQuery, { after: output.after });
+    // Alias-prefixed rows per table (t.title, e.id, ...) for JOIN queries
+    const tableRows = (pattern, alias, tableSources) => tableSources.flatMap(source =>
+      collectTasks(source.parsed.tasks).map(n => prefixRow({
+        ...taskToRow(n),
+        ...(isGlobPattern(pattern) ? { file: source.file } : {})
+      }, alias)));
+    let result;
+    // Task node of each projected row, for --nested and --format tree
+    const rowNodes = new Map();
+    try {
+      result = executePlan(plan, {
+        // Plain queries work on the parsed nodes themselves so depth, path and parent.* resolve
+        scan: step => (step.alias ? tableRows(step.files[0], step.alias, sources) : sources.flatMap(collectSourceTasks)),
+        join: step => tableRows(step.file, step.alias, loadSources([step.file])),
+        project: (node, fields) => {
+          const row = selectFields(node, fields, multiFile);
+          rowNodes.set(node, row);
+          return row;
         }
-        return arr;
-      }
-      const newRoot = buildTreeForParent('__root');
+      });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
 
-      const outTaskLines = serializeTasksToLines(newRoot, { indentSize: 2 });
-      const targetPath = parsedQuery.into;
-      let targetLines = [];
-      if (fs.existsSync(file) && targetPath === file) targetLines = parsed.lines;
-      else if (fs.existsSync(targetPath)) targetLines = loadFileLines(targetPath);
-      else targetLines = loadFileLines(file);
+    if (parsedQuery.into) {
+      // Copies of the selected tasks, each under its nearest selected ancestor, in result order
+      const newRoot = structuredClone(nestUnderSelectedAncestors(result.rows, node => ({ ...node, children: [] })));
 
-      const replaced = replaceTodoSection(targetLines, outTaskLines);
-      fs.writeFileSync(targetPath, replaced.join('\n'), 'utf8');
+      // The target keeps its other content; a new file starts from the first source's
+      const targetPath = parsedQuery.into;
+      let target = sources.find(source => source.file === targetPath) || script?.sources.get(targetPath);
+      if (!target) {
+        const lines = fs.existsSync(targetPath) ? loadFileLines(targetPath) : sources[0].parsed.lines;
+        target = { file: targetPath, parsed: { lines } };
+        script?.sources.set(targetPath, target);
+      }
+      target.parsed.tasks = newRoot;
+      saveSource(target);
       console.log(`Saved tasks into ${targetPath}`);
-      process.exit(0);
+      reportDryRun();
+      return;
+    }
+
+    // A page cut off by LIMIT gets a next cursor: the id of its last task
+    let { rows, more } = result;
+    const page = paging ? { next: more && rows.length ? String(rows[rows.length - 1].id) : null } : null;
+    if (output.nested || (format === 'html' && taskSelect)) {
+      // Rows in result order, each under its nearest selected ancestor; leaves get no children key
+      const prune = entry => (entry.children.length ? { ...entry, children: entry.children.map(prune) } : (({ children, ...row }) => row)(entry));
+      rows = nestUnderSelectedAncestors([...rowNodes.keys()], node => ({ ...rowNodes.get(node), children: [] })).map(prune);
+    }
+    if (format === 'tree') {
+      const columns = output.columns ?? (parsedQuery.fields[0] === '*' ? undefined : parsedQuery.fields);
+      printTree([...rowNodes.keys()], node => rowNodes.get(node), { columns, multiFile });
+      if (page && page.next !== null) console.log(`Next page: --after ${page.next}`);
+      return;
+    }
+    if (isAggregateQuery(parsedQuery)) {
+      print(rows, { columns: parsedQuery.fields });
     } else {
-      // Output to stdout
-      if (format === 'table') {
-        console.log(formatAsTable(flatData));
-      } else {
-        console.log(JSON.stringify(flatData, null, 2));
-      }
-      process.exit(0);
+      const explicitColumns = !!parsedQuery.alias && !parsedQuery.fields.some(f => f === '*' || f.endsWith('.*'));
+      print(rows, explicitColumns ? { columns: parsedQuery.fields } : {}, page);
     }
+    return;
   } else if (parsedQuery.command === 'UPDATE') {
-    // For UPDATE, modify tasks in memory and write back
-    let flat = collectTasks(rootTasks);
-    let updatedCount = 0;
-
-    // Validate assignments before applying them
+    // For UPDATE, modify tasks in memory and write back only the files that changed
+    // Validate literal assignments before applying them
     parsedQuery.set.forEach(assignment => {
-      if (assignment.key === 'tags') {
-        const value = processEscapeSequences(assignment.value);
-        const tags = value.split(',').map(s => s.trim()).filter(s => s.length > 0);
-        for (const tag of tags) {
-          if (!validateTagName(tag)) {
-            console.error(`Error: Invalid tag name '${tag}'. Tags may only contain letters, numbers, hyphens, and underscores. No spaces or # symbols are allowed.`);
-            process.exit(1);
-          }
-        }
+      if (!assignment.expr && (assignment.key === 'tags' || assignment.key === 'stakeholders')) {
+        assertValidListItems(assignment.key, assignedValue(null, assignment));
       }
-      if (assignment.key === 'stakeholders') {
-        const value = processEscapeSequences(assignment.value);
-        const stakeholders = value.split(',').map(s => s.trim()).filter(s => s.length > 0);
-        for (const stakeholder of stakeholders) {
-          if (!validateStakeholderName(stakeholder)) {
-            console.error(`Error: Invalid stakeholder name '${stakeholder}'. Stakeholders may only contain letters, numbers, hyphens, and underscores. No spaces or @ symbols are allowed.`);
+    });
+
+    const changed = [];
+    const updated = [];
+    for (const source of sources) {
+      let updatedCount = 0;
+      collectSourceTasks(source).forEach(task => {
+        if (evaluateWhere(task, parsedQuery.where)) {
+          // Evaluate every SET value against the task as it was, then apply them
+          let values;
+          try {
+            values = parsedQuery.set.map(assignment => assignedValue(task, assignment));
+          } catch (err) {
+            console.error(`Error: ${err.message} (task ${task.id})`);
             process.exit(1);
           }
+          const before = { ...task.data };
+          parsedQuery.set.forEach((assignment, idx) => {
+            const value = values[idx];
+            if (assignment.expr && Array.isArray(value)) assertValidListItems(assignment.key, value);
+            if (value === null) delete task.data[assignment.key];
+            else task.data[assignment.key] = value;
+          });
+          const preview = [`Update task ${task.id} in ${source.file}:`, ...taskPreview({ ...task, data: before }, '-'), ...taskPreview(task, '+')];
+          if (!confirmChange(preview)) {
+            task.data = before;
+            return;
+          }
+          updated.push(task);
+          updatedCount++;
         }
-      }
-    });
+      });
+      if (updatedCount) changed.push({ file: source.file, count: updatedCount, source });
+    }
+    // Nothing is written until every matched task was updated successfully
+    saveSources(changed.map(({ source }) => source));
 
-    flat.forEach(task => {
-      if (evaluateWhere(task, parsedQuery.where)) {
-        // Apply SET assignments
-        parsedQuery.set.forEach(assignment => {
-          const value = processEscapeSequences(assignment.value);
-          if (assignment.key === 'stakeholders' || assignment.key === 'tags') {
-            // Convert comma-separated string to array
-            task.data[assignment.key] = value.split(',').map(s => s.trim()).filter(s => s.length > 0);
-          } else {
-            // Convert boolean strings to actual booleans
-            let convertedValue = value;
-            if (value === 'true') convertedValue = true;
-            else if (value === 'false') convertedValue = false;
-            else if (!isNaN(value) && value !== '') convertedValue = Number(value);
-            task.data[assignment.key] = convertedValue;
+    if (parsedQuery.returning) {
+      // Paths of retitled tasks (and their subtasks) follow the new titles
+      changed.forEach(({ source }) => annotateHierarchy(source.parsed.tasks));
+      printReturning(updated);
+    } else {
+      if (!changed.length) console.log(`Updated 0 tasks in ${files.join(', ')}`);
+      for (const { file, count } of changed) console.log(`Updated ${count} tasks in ${file}`);
+    }
+    reportDryRun(updated.map(task => task.id));
+    return;
+  } else if (parsedQuery.command === 'DELETE') {
+    // For DELETE, remove tasks and write back only the files that changed
+    const changed = [];
+    const deleted = [];
+    for (const source of sources) {
+      const toDelete = new Set();
+
+      collectSourceTasks(source).forEach(task => {
+        if (evaluateWhere(task, parsedQuery.where)) {
+          // Subtasks of a task already being deleted go with it, without asking again
+          if ([...toDelete].some(id => isDescendantOf(task, id))) {
+            toDelete.add(task.id);
+            return;
           }
+          const removed = subtreeNodes(task);
+          const suffix = removed.length > 1 ? ` (and ${removed.length - 1} subtasks)` : '';
+          if (!confirmChange([`Delete task ${task.id}${suffix} in ${source.file}:`, ...taskPreview(task, '-')])) return;
+          toDelete.add(task.id);
+          deleted.push(...removed);
+        }
+      });
+      if (!toDelete.size) continue;
+
+      // Remove from tree
+      function removeFromTree(nodes) {
+        return nodes.filter(node => {
+          if (toDelete.has(node.id)) return false;
+          if (node.children) node.children = removeFromTree(node.children);
+          return true;
         });
-        updatedCount++;
       }
-    });
 
-    // Write back to file
-    const idToNode = new Map();
-    function mapNodes(nodes) {
-      for (const n of nodes) { idToNode.set(n.id, n); if (n.children) mapNodes(n.children); }
+      source.parsed.tasks = removeFromTree(source.parsed.tasks);
+      changed.push({ file: source.file, count: toDelete.size, source });
     }
-    mapNodes(rootTasks);
+    saveSources(changed.map(({ source }) => source));
 
-    const outTaskLines = serializeTasksToLines(rootTasks, { indentSize: 2 });
-    const replaced = replaceTodoSection(parsed.lines, outTaskLines);
-    fs.writeFileSync(file, replaced.join('\n'), 'utf8');
-    console.log(`Updated ${updatedCount} tasks in ${file}`);
-    process.exit(0);
-  } else if (parsedQuery.command === 'DELETE') {
-    // For DELETE, remove tasks and write back
-    let flat = collectTasks(rootTasks);
-    const toDelete = new Set();
+    if (parsedQuery.returning) {
+      // Deleted tasks (with the subtasks removed along with them) as they were
+      printReturning(deleted);
+    } else {
+      if (!changed.length) console.log(`Deleted 0 tasks from ${files.join(', ')}`);
+      for (const { file, count } of changed) console.log(`Deleted ${count} tasks from ${file}`);
+    }
+    reportDryRun(deleted.map(task => task.id));
+    return;
+  } else if (parsedQuery.command === 'MOVE') {
+    // Detach the matching subtrees and re-attach them at the destination, in document order
+    const position = parsedQuery.position;
+    let target = null;
+    if (parsedQuery.into) {
+      target = sources.find(source => source.file === parsedQuery.into) ||
+        loadSources([parsedQuery.into], { allowMissing: true })[0];
+    }
 
-    flat.forEach(task => {
-      if (evaluateWhere(task, parsedQuery.where)) {
-        toDelete.add(task.id);
+    // A matching task whose ancestor also matches simply moves along with it
+    let moves = sources.map(source => {
+      const matched = collectSourceTasks(source).filter(task => evaluateWhere(task, parsedQuery.where));
+      const matchedIds = new Set(matched.map(task => task.id));
+      const nodes = matched.filter(task => ![...matchedIds].some(id => isDescendantOf(task, id)));
+      return { source, nodes };
+    }).filter(move => move.nodes.length);
+    let moved = moves.flatMap(move => move.nodes);
+
+    // Resolve the anchor task in the destination file (or in any of the source files)
+    let anchorId = null;
+    let anchorSource = null;
+    if (position.type !== 'root') {
+      const candidates = target ? [target] : sources;
+      try {
+        anchorId = resolveIdByPrefix(candidates.flatMap(source => source.parsed.tasks), position.id);
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
       }
-    });
+      anchorSource = candidates.find(source => locateTask(source.parsed.tasks, anchorId));
+      const anchor = locateTask(anchorSource.parsed.tasks, anchorId).node;
+      if (moved.some(node => node === anchor || isAncestorOf(node, anchorId))) {
+        console.error(`Error: Cannot move a task ${position.type} itself or one of its subtasks ('${anchorId}')`);
+        process.exit(1);
+      }
+    }
 
-    // Remove from tree
-    function removeFromTree(nodes) {
-      return nodes.filter(node => {
-        if (toDelete.has(node.id)) return false;
-        if (node.children) node.children = removeFromTree(node.children);
-        return true;
-      });
+    // With --interactive, declined subtrees stay where they are
+    const destinationLabel = (position.type === 'root' ? 'to the top level' : `${position.type} ${anchorId}`) +
+      (target ? ` of ${target.file}` : '');
+    moves = moves.map(({ source, nodes }) => ({
+      source,
+      nodes: nodes.filter(node => confirmChange([`Move task ${node.id} in ${source.file} ${destinationLabel}:`, ...taskPreview(node, ' ')]))
+    })).filter(move => move.nodes.length);
+    moved = moves.flatMap(move => move.nodes);
+
+    for (const { source, nodes } of moves) {
+      nodes.forEach(node => detachTask(source.parsed.tasks, node));
+    }
+    const touched = new Set(moves.map(move => move.source));
+    if (position.type === 'root' && !target) {
+      for (const { source, nodes } of moves) placeTasks(source.parsed.tasks, nodes, position);
+    } else if (moved.length) {
+      const destination = target || anchorSource;
+      placeTasks(destination.parsed.tasks, moved, anchorId === null ? position : { ...position, id: anchorId });
+      touched.add(destination);
     }
 
-    const newRoot = removeFromTree(rootTasks);
-    const outTaskLines = serializeTasksToLines(newRoot, { indentSize: 2 });
-    const replaced = replaceTodoSection(parsed.lines, outTaskLines);
-    fs.writeFileSync(file, replaced.join('\n'), 'utf8');
-    console.log(`Deleted ${toDelete.size} tasks from ${file}`);
-    process.exit(0);
+    saveSources([...touched]);
+
+    if (!moves.length) console.log(`Moved 0 tasks in ${files.join(', ')}`);
+    for (const { source, nodes } of moves) {
+      const destination = target || anchorSource || source;
+      if (destination === source) console.log(`Moved ${nodes.length} tasks in ${source.file}`);
+      else console.log(`Moved ${nodes.length} tasks from ${source.file} to ${destination.file}`);
+    }
+    reportDryRun(moved.flatMap(subtreeIds));
+    return;
   } else if (parsedQuery.command === 'INSERT') {
     // Create new task
     const newNode = {
@@ -719,57 +1234,322 @@ if (cmd === 'query') {
       inline: 'dummy'
     };
 
-    // Apply SET assignments with validation
+    // Apply SET assignments with validation (expressions see an empty task)
     parsedQuery.set.forEach(assignment => {
-      const value = processEscapeSequences(assignment.value);
+      let value;
+      try {
+        value = assignedValue(newNode, assignment);
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      }
       if (assignment.key === 'stakeholders' || assignment.key === 'tags') {
-        // Convert comma-separated string to array
-        const items = value.split(',').map(s => s.trim()).filter(s => s.length > 0);
-
-        // Validate tags
-        if (assignment.key === 'tags') {
-          for (const tag of items) {
-            if (!validateTagName(tag)) {
-              console.error(`Error: Invalid tag name '${tag}'. Tags may only contain letters, numbers, hyphens, and underscores. No spaces or special characters are allowed.`);
-              process.exit(1);
-            }
-          }
-        }
-
-        // Validate stakeholders
-        if (assignment.key === 'stakeholders') {
-          for (const stakeholder of items) {
-            if (!validateStakeholderName(stakeholder)) {
-              console.error(`Error: Invalid stakeholder name '${stakeholder}'. Stakeholders may only contain letters, numbers, hyphens, and underscores. No spaces or @ symbols are allowed.`);
-              process.exit(1);
-            }
-          }
-        }
-
-        newNode.data[assignment.key] = items;
-      } else {
-        // Convert boolean strings to actual booleans
-        let convertedValue = value;
-        if (value === 'true') convertedValue = true;
-        else if (value === 'false') convertedValue = false;
-        else if (!isNaN(value) && value !== '') convertedValue = Number(value);
-        newNode.data[assignment.key] = convertedValue;
+        assertValidListItems(assignment.key, value);
+        newNode.data[assignment.key] = value;
+      } else if (value !== null) {
+        newNode.data[assignment.key] = value;
       }
     });
 
     // Compute ID
     ensureIdOnNode(newNode);
 
-    // Add to root tasks
-    rootTasks.push(newNode);
+    // Add to root tasks, or under/next to an existing task
+    const { file, parsed } = sources[0];
+    try {
+      placeTask(parsed.tasks, newNode, parsedQuery.position);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    if (!confirmChange([`Insert task ${newNode.id} into ${file}:`, ...taskPreview(newNode, '+')])) {
+      detachTask(parsed.tasks, newNode);
+      if (parsedQuery.returning) printReturning([]);
+      else console.log(`Inserted 0 tasks into ${file}`);
+      return;
+    }
 
     // Write back to file
-    const outTaskLines = serializeTasksToLines(rootTasks, { indentSize: 2 });
-    const replaced = replaceTodoSection(parsed.lines, outTaskLines);
-    fs.writeFileSync(file, replaced.join('\n'), 'utf8');
-    console.log(`Inserted task ${newNode.id} into ${file}`);
+    saveSource(sources[0]);
+    if (parsedQuery.returning) {
+      // Parent id, depth and path of the new task
+      collectTasks(annotateHierarchy(parsed.tasks));
+      printReturning([newNode]);
+    } else {
+      console.log(`Inserted task ${newNode.id} into ${file}`);
+    }
+    reportDryRun([newNode.id]);
+  }
+}
+
+// Handle query command
+if (cmd === 'query') {
+  const queryStr = argv._[1];
+  if (!queryStr) {
+    console.error('Query string required');
+    process.exit(1);
+  }
+  let parsedQuery;
+  try {
+    parsedQuery = parseQuery(queryStr);
+  } catch (err) {
+    console.error(`Query parsing error: ${err.message}`);
+    process.exit(1);
+  }
+  try {
+    parsedQuery = bindParams(parsedQuery, queryParams());
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const format = queryFormat();
+  runStatement(parsedQuery, format, selectOptions());
+  process.exit(0);
+}
+
+// Run a script of ;-separated statements (from a file or stdin) against in-memory trees, then write
+// every touched file once. A failing statement exits before anything is written.
+if (cmd === 'run') {
+  const scriptFile = argv._[1];
+  let text;
+  if (!scriptFile || scriptFile === '-') {
+    if (interactive) {
+      console.error('--interactive needs the script in a file, since answers are read from stdin');
+      process.exit(1);
+    }
+    text = fs.readFileSync(0, 'utf8');
+  } else {
+    if (!fs.existsSync(scriptFile)) { console.error(`Script file not found: ${scriptFile}`); process.exit(1); }
+    text = fs.readFileSync(scriptFile, 'utf8');
+  }
+  let statements;
+  try {
+    statements = parseScript(text);
+  } catch (err) {
+    console.error(`Query parsing error: ${err.message}`);
+    process.exit(1);
+  }
+  const params = queryParams();
+  try {
+    statements = statements.map(statement => {
+      if (TRANSACTION_COMMANDS.includes(statement.query.command)) return statement;
+      try {
+        return { ...statement, query: bindParams(statement.query, params) };
+      } catch (err) {
+        throw new Error(`Line ${statement.line}: ${err.message}`);
+      }
+    });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  const format = queryFormat();
+
+  // Copy of the in-memory state taken at BEGIN, restored by ROLLBACK
+  function snapshot() {
+    const copies = new Map();
+    for (const source of script.sources.values()) {
+      copies.set(source, { file: source.file, parsed: { ...source.parsed, tasks: structuredClone(source.parsed.tasks) } });
+    }
+    return {
+      sources: new Map([...script.sources].map(([file, source]) => [file, copies.get(source)])),
+      touched: new Set([...script.touched].map(source => copies.get(source)))
+    };
+  }
+
+  // Statements exit the process on errors; say where the script stopped
+  let current = null;
+  process.on('exit', code => {
+    if (code !== 0 && current) console.error(`Script stopped at line ${current.line}: nothing was written`);
+  });
+
+  script = { sources: new Map(), touched: new Set() };
+  let transaction = null;
+  for (const statement of statements) {
+    current = statement;
+    const { command } = statement.query;
+    if (command === 'BEGIN') {
+      if (transaction) { console.error(`Line ${statement.line}: BEGIN inside a transaction started at line ${transaction.line}`); process.exit(1); }
+      transaction = { line: statement.line, saved: snapshot() };
+    } else if (command === 'COMMIT' || command === 'ROLLBACK') {
+      if (!transaction) { console.error(`Line ${statement.line}: ${command} without BEGIN`); process.exit(1); }
+      if (command === 'ROLLBACK') {
+        script = transaction.saved;
+        console.log(`Rolled back changes since line ${transaction.line}`);
+      }
+      transaction = null;
+    } else {
+      runStatement(statement.query, format);
+    }
+  }
+  if (transaction) {
+    current = transaction;
+    console.error(`Line ${transaction.line}: BEGIN without COMMIT or ROLLBACK`);
+    process.exit(1);
+  }
+
+  current = null;
+  writeTasksToFiles([...script.touched].map(source => ({
+    file: source.file,
+    lines: source.parsed.lines,
+    tasks: source.parsed.tasks
+  })));
+  if (dryRun) console.log('Dry run: no files were written');
+  process.exit(0);
+}
+
+// Import task records (NDJSON or YAML, from a file or stdin) into a file's TODO tree
+if (cmd === 'import') {
+  const file = argv._[1];
+  const input = argv._[2];
+  const from = argv.from ?? 'ndjson';
+  if (!file) {
+    console.error('Usage: todo import <file> [input] --from ndjson|yaml');
+    process.exit(1);
+  }
+  if (!IMPORT_FORMATS.includes(from)) {
+    console.error(`Unsupported import format '${from}'. Supported formats: ${IMPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  let text;
+  if (!input || input === '-') {
+    if (interactive) {
+      console.error('--interactive needs the input in a file, since answers are read from stdin');
+      process.exit(1);
+    }
+    text = fs.readFileSync(0, 'utf8');
+  } else {
+    if (!fs.existsSync(input)) { console.error(`Input file not found: ${input}`); process.exit(1); }
+    text = fs.readFileSync(input, 'utf8');
+  }
+  const [source] = loadSources([file], { allowMissing: true });
+  let nodes;
+  try {
+    nodes = importRecords(source.parsed.tasks, parseImport(text, from));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  nodes.forEach(node => ['tags', 'stakeholders'].forEach(key => assertValidListItems(key, node.data[key] || [])));
+  if (!nodes.length || !confirmChange([`Import ${nodes.length} tasks into ${file}:`, ...nodes.flatMap(node => taskPreview(node, '+'))])) {
+    console.log(`Imported 0 tasks into ${file}`);
     process.exit(0);
   }
+  saveSource(source);
+  console.log(`Imported ${nodes.length} tasks into ${file}`);
+  reportDryRun(nodes.map(node => node.id));
+  process.exit(0);
+}
+
+// Print a file's TODO tree (fields, ids and nesting) for todo import
+if (cmd === 'export') {
+  const file = argv._[1];
+  const to = argv.to ?? 'yaml';
+  if (!file) {
+    console.error('Usage: todo export <file> [--to yaml]');
+    process.exit(1);
+  }
+  if (!EXPORT_FORMATS.includes(to)) {
+    console.error(`Unsupported export format '${to}'. Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  const [source] = loadSources([file]);
+  process.stdout.write(formatExport(source.parsed.tasks, to));
+  process.exit(0);
+}
+
+// Write the result of a SELECT as a standalone HTML page
+if (cmd === 'report') {
+  const queryStr = argv._[1];
+  const out = argv.html;
+  if (!queryStr || !out || out === true) {
+    console.error('Usage: todo report <sql-query> --html <out.html> [--title <text>]');
+    process.exit(1);
+  }
+  let parsedQuery;
+  try {
+    parsedQuery = parseQuery(queryStr);
+  } catch (err) {
+    console.error(`Query parsing error: ${err.message}`);
+    process.exit(1);
+  }
+  try {
+    parsedQuery = bindParams(parsedQuery, queryParams());
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  if (parsedQuery.command !== 'SELECT' || parsedQuery.into || parsedQuery.explain) {
+    console.error('Error: todo report needs a SELECT query (without INTO or EXPLAIN)');
+    process.exit(1);
+  }
+  let html;
+  runStatement(parsedQuery, 'html', { title: argv.title ?? 'Task report', subtitle: queryStr, write: text => { html = text; } });
+  if (dryRun) {
+    console.log(`Dry run: ${out} was not written`);
+    process.exit(0);
+  }
+  try {
+    writeFileAtomic(out, `${html}\n`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  console.log(`Saved report to ${out}`);
+  process.exit(0);
+}
+
+// Run a named view from the nearest .todorc; arguments after the name bind its ? placeholders.
+// Without a name, list the views.
+if (cmd === 'view') {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  if (!config) {
+    console.error(`No ${CONFIG_FILE} found in ${process.cwd()} or its parent directories`);
+    process.exit(1);
+  }
+  const name = argv._[1];
+  if (!name) {
+    const names = Object.keys(config.views);
+    if (!names.length) console.log(`No views defined in ${config.file}`);
+    const width = Math.max(0, ...names.map(n => n.length));
+    names.forEach(n => console.log(`${n.padEnd(width)}  ${config.views[n].description ?? config.views[n].query}`));
+    process.exit(0);
+  }
+  let view;
+  let parsedQuery;
+  try {
+    view = getView(config, name);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  try {
+    parsedQuery = parseQuery(view.query);
+  } catch (err) {
+    console.error(`Query parsing error in view '${name}': ${err.message}`);
+    process.exit(1);
+  }
+  const params = queryParams();
+  argv._.slice(2).forEach((value, idx) => { params[String(idx + 1)] = parseParamValue(String(value)); });
+  try {
+    parsedQuery = bindParams(parsedQuery, params);
+  } catch (err) {
+    console.error(`Error: view '${name}': ${err.message}`);
+    process.exit(1);
+  }
+
+  const format = queryFormat(view.format);
+  // Paths in a view are relative to its .todorc
+  process.chdir(config.dir);
+  runStatement(parsedQuery, format, { columns: view.columns, ...selectOptions() });
+  process.exit(0);
 }
 
 // Legacy select command for backward compatibility
@@ -793,8 +1573,8 @@ if (cmd === 'select') {
   }
 
   // Validate format
-  if (!['json', 'table'].includes(format)) {
-    console.error(`Invalid format '${format}'. Supported formats: json, table`);
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(`Invalid format '${format}'. Supported formats: ${OUTPUT_FORMATS.join(', ')}`);
     process.exit(1);
   }
 
@@ -811,13 +1591,15 @@ if (cmd === 'select') {
   // Flatten tasks for query/sort
   const flat = collectTasks(rootTasks);
 
-  // Parse orderby spec into array [{key,dir}]
+  // Parse orderby spec (ORDER BY syntax: keys with ASC/DESC, NULLS FIRST/LAST, COLLATE, FIELD())
   let keySpec = [];
   if (orderby) {
-    keySpec = orderby.split(',').map(s => {
-      const parts = s.trim().split(/\s+/);
-      return { key: parts[0], dir: (parts[1] || 'asc').toLowerCase() === 'desc' ? 'desc' : 'asc' };
-    });
+    try {
+      keySpec = parseOrderBy(orderby);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
     // Sort flat array
     multiKeySort(flat, keySpec);
   }
@@ -854,9 +1636,7 @@ if (cmd === 'select') {
     }
     const newRoot = buildTreeForParent('__root');
 
-    // Serialize to lines and replace ## TODO section in original file (or intoFile file path)
-    const outTaskLines = serializeTasksToLines(newRoot, { indentSize: 2 });
-
+    // Replace ## TODO section in original file (or intoFile file path).
     // If intoFile is same as original file (overwrite), load original and replace section
     const targetPath = intoFile;
     let targetLines = [];
@@ -864,10 +1644,9 @@ if (cmd === 'select') {
     else if (fs.existsSync(targetPath)) targetLines = loadFileLines(targetPath);
     else targetLines = loadFileLines(file); // base on source file if new file doesn't exist
 
-    const replaced = replaceTodoSection(targetLines, outTaskLines);
-    // Write file
-    fs.writeFileSync(targetPath, replaced.join('\n'), 'utf8');
+    writeTasksToFile(targetPath, targetLines, newRoot);
     console.log(`Saved sorted tasks into ${targetPath}`);
+    reportDryRun();
     process.exit(0);
   } else {
     // Print flattened data in specified format
@@ -877,10 +1656,12 @@ if (cmd === 'select') {
       ...n.data
     }));
 
-    if (format === 'table') {
-      console.log(formatAsTable(flatData));
+    if (format === 'tree') {
+      const rows = new Map(flat.map((node, idx) => [node, flatData[idx]]));
+      annotateHierarchy(rootTasks);
+      printTree(flat, node => rows.get(node));
     } else {
-      console.log(JSON.stringify(flatData, null, 2));
+      printRows(flatData, format);
     }
     process.exit(0);
   }
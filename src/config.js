@@ -0,0 +1,77 @@
+// config.js
+// Project configuration: a .todorc file (JSON, or the YAML subset read by yaml.js) found in the
+// working directory or one of its parents. It defines named views, each a query with an optional default format and columns.
+import fs from 'fs';
+import path from 'path';
+import { parseYaml } from './yaml.js';
+
+export const CONFIG_FILE = '.todorc';
+
+// Path of the nearest .todorc from dir upwards, or null
+export function findConfigFile(dir = process.cwd()) {
+  let current = path.resolve(dir);
+  while (true) {
+    const candidate = path.join(current, CONFIG_FILE);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function assertColumns(columns, where) {
+  if (columns === undefined) return undefined;
+  if (typeof columns === 'string') columns = columns.split(',').map(c => c.trim()).filter(Boolean);
+  if (!Array.isArray(columns) || !columns.every(c => typeof c === 'string' && c)) {
+    throw new Error(`${where}: columns must be a list of field names`);
+  }
+  return columns;
+}
+
+// Validate parsed config data; a view is either a query string or { query, format, columns, description }
+export function normalizeConfig(data, file = CONFIG_FILE) {
+  if (data === null || data === undefined) data = {};
+  if (typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file}: expected a mapping at the top level`);
+  const views = {};
+  const rawViews = data.views ?? {};
+  if (typeof rawViews !== 'object' || Array.isArray(rawViews)) throw new Error(`${file}: views must be a mapping of names to queries`);
+  for (const [name, raw] of Object.entries(rawViews)) {
+    const view = typeof raw === 'string' ? { query: raw } : raw;
+    if (!view || typeof view !== 'object' || typeof view.query !== 'string' || !view.query.trim()) {
+      throw new Error(`${file}: view '${name}' needs a query`);
+    }
+    views[name] = {
+      query: view.query.trim(),
+      format: view.format ?? data.format,
+      columns: assertColumns(view.columns, `${file}: view '${name}'`),
+      description: view.description
+    };
+  }
+  return { file, format: data.format, views };
+}
+
+// Parse .todorc text: JSON when it starts with {, YAML otherwise
+export function parseConfig(text, file = CONFIG_FILE) {
+  let data;
+  try {
+    data = text.trimStart().startsWith('{') ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  return normalizeConfig(data, file);
+}
+
+// Load the nearest .todorc, or null when there is none
+export function loadConfig(dir = process.cwd()) {
+  const file = findConfigFile(dir);
+  if (!file) return null;
+  return { ...parseConfig(fs.readFileSync(file, 'utf8'), file), dir: path.dirname(file) };
+}
+
+export function getView(config, name) {
+  if (!Object.prototype.hasOwnProperty.call(config.views, name)) {
+    const available = Object.keys(config.views);
+    throw new Error(`Unknown view '${name}' (${available.length ? `available: ${available.join(', ')}` : `no views defined in ${config.file}`})`);
+  }
+  return config.views[name];
+}
@@ -0,0 +1,39 @@
+// csvFormatter.js
+// CSV and TSV output for query results, with the same columns as the Markdown table.
+// Fields are quoted as in RFC 4180: a value holding the delimiter, a quote or a line break is wrapped
+// in double quotes with inner quotes doubled, so multi-line descriptions survive a round trip.
+import { tableColumns } from './tableFormatter.js';
+
+function cellText(value, arraySeparator) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(arraySeparator);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function quoteField(text, delimiter) {
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+// Rows as delimited text. options: delimiter (default ','), columns (see tableColumns),
+// header (default true) and arraySeparator for tags/stakeholders (default ', ').
+// Returns '' when there is nothing to print (no rows and no fixed columns, or no rows and no header).
+export function formatAsDelimited(rows, options = {}) {
+  const { delimiter = ',', header = true, arraySeparator = ', ' } = options;
+  const columns = tableColumns(rows || [], options);
+  const lines = [];
+  if (header && columns.length) lines.push(columns.map(column => quoteField(column, delimiter)).join(delimiter));
+  for (const row of rows || []) {
+    lines.push(columns.map(column => quoteField(cellText(row[column], arraySeparator), delimiter)).join(delimiter));
+  }
+  return lines.join('\n');
+}
+
+export function formatAsCsv(rows, options = {}) {
+  return formatAsDelimited(rows, { ...options, delimiter: ',' });
+}
+
+export function formatAsTsv(rows, options = {}) {
+  return formatAsDelimited(rows, { ...options, delimiter: '\t' });
+}
@@ -0,0 +1,84 @@
+// diff.js
+// Line diff (longest common subsequence) and unified diff formatting for --dry-run previews.
+
+// Edit script turning oldLines into newLines: [{ type: ' ' | '-' | '+', line }]
+export function diffLines(oldLines, newLines) {
+  // Only the differing middle needs the quadratic LCS table
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let endOld = oldLines.length;
+  let endNew = newLines.length;
+  while (endOld > start && endNew > start && oldLines[endOld - 1] === newLines[endNew - 1]) {
+    endOld--;
+    endNew--;
+  }
+  const a = oldLines.slice(start, endOld);
+  const b = newLines.slice(start, endNew);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  for (const line of oldLines.slice(endOld)) ops.push({ type: ' ', line });
+  return ops;
+}
+
+// Hunk range as printed by diff -u: "start,count", where count 1 is omitted and an empty range
+// points at the line before it
+function formatRange(start, count) {
+  if (count === 1) return `${start + 1}`;
+  return `${count === 0 ? start : start + 1},${count}`;
+}
+
+// Unified diff lines (---/+++ header and @@ hunks); empty when nothing changed
+export function formatUnifiedDiff(oldLines, newLines, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  let oldNo = 0;
+  let newNo = 0;
+  const rows = diffLines(oldLines, newLines).map(op => {
+    const row = { ...op, oldNo, newNo };
+    if (op.type !== '+') oldNo++;
+    if (op.type !== '-') newNo++;
+    return row;
+  });
+  const changed = rows.map((row, idx) => (row.type === ' ' ? -1 : idx)).filter(idx => idx !== -1);
+  if (!changed.length) return [];
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const idx of changed) {
+    const from = Math.max(0, idx - context);
+    const to = Math.min(rows.length, idx + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to) last.to = to;
+    else hunks.push({ from, to });
+  }
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const { from, to } of hunks) {
+    const slice = rows.slice(from, to);
+    const oldCount = slice.filter(row => row.type !== '+').length;
+    const newCount = slice.filter(row => row.type !== '-').length;
+    out.push(`@@ -${formatRange(rows[from].oldNo, oldCount)} +${formatRange(rows[from].newNo, newCount)} @@`);
+    for (const row of slice) out.push(`${row.type}${row.line}`);
+  }
+  return out;
+}
@@ -30,6 +30,18 @@ export function replaceTodoSection(lines, taskLines) {
   }
 }
 
+// Lines of the ## TODO section without surrounding blank lines, or null when there is no such section
+export function extractTodoSection(lines) {
+  const todoHeadingIdx = findTodoHeading(lines);
+  if (todoHeadingIdx === -1) return null;
+  let endIdx = todoHeadingIdx + 1;
+  while (endIdx < lines.length && !lines[endIdx].trim().match(/^#{1,2}\s+/)) endIdx++;
+  const section = lines.slice(todoHeadingIdx + 1, endIdx);
+  while (section.length && section[0].trim() === '') section.shift();
+  while (section.length && section[section.length - 1].trim() === '') section.pop();
+  return section;
+}
+
 function findTodoHeading(lines) {
   for (let i = 0; i < lines.length; i++) {
     if (lines[i].trim().toUpperCase() === '## TODO') return i;
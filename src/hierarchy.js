@@ -0,0 +1,85 @@
+// hierarchy.js
+// In-memory hierarchy information for parsed task trees: depth, path and ancestry.
+
+// Parent node of each annotated node (kept off the node itself so trees stay free of cycles)
+const parentNodes = new WeakMap();
+
+// Separator between titles in the computed `path` field
+export const PATH_SEPARATOR = ' / ';
+
+// Walk a task forest and record, in memory only, each node's parent node, its depth
+// (0 for top-level tasks) and its path (titles joined from the root)
+export function annotateHierarchy(rootTasks) {
+  function rec(nodes, parentNode, depth) {
+    for (const node of nodes) {
+      parentNodes.set(node, parentNode);
+      node.depth = depth;
+      const title = node.data?.title ?? node.id;
+      node.path = parentNode ? `${parentNode.path}${PATH_SEPARATOR}${title}` : title;
+      if (node.children && node.children.length) rec(node.children, node, depth + 1);
+    }
+  }
+  rec(rootTasks, null, 0);
+  return rootTasks;
+}
+
+export function getParentNode(node) {
+  return parentNodes.get(node) ?? null;
+}
+
+// Computed fields: depth, path and parent.<field> (which may itself be parent.parent.<field>)
+export function isHierarchyField(key) {
+  return key === 'depth' || key === 'path' || key.startsWith('parent.');
+}
+
+export function hasChildren(node) {
+  return !!(node.children && node.children.length);
+}
+
+// True when a task with the given id is a (direct or indirect) parent of node
+export function isDescendantOf(node, id) {
+  for (let p = getParentNode(node); p; p = getParentNode(p)) {
+    if (p.id === id) return true;
+  }
+  return false;
+}
+
+// True when a task with the given id sits anywhere below node
+export function isAncestorOf(node, id) {
+  return (node.children || []).some(child => child.id === id || isAncestorOf(child, id));
+}
+
+// Arrange a selection of annotated nodes as a forest in which each hangs under its nearest selected
+// ancestor (or at the top level), keeping the selection's order. entry(node) builds the output item
+// for a node and must give it an empty children array.
+export function nestUnderSelectedAncestors(nodes, entry) {
+  const selected = new Set(nodes);
+  const entries = new Map(nodes.map(node => [node, entry(node)]));
+  const roots = [];
+  for (const node of nodes) {
+    let parent = getParentNode(node);
+    while (parent && !selected.has(parent)) parent = getParentNode(parent);
+    (parent ? entries.get(parent).children : roots).push(entries.get(node));
+  }
+  return roots;
+}
+
+// Like nestUnderSelectedAncestors, but unselected ancestors are kept (for context) instead of skipped:
+// the result follows the parsed nesting. Siblings come in the order their first selected task has in
+// nodes. entry(node, selected) builds the output item for a node with an empty children array.
+export function nestWithAncestors(nodes, entry) {
+  const selected = new Set(nodes);
+  const entries = new Map();
+  const roots = [];
+  function place(node) {
+    if (!entries.has(node)) {
+      const item = entry(node, selected.has(node));
+      entries.set(node, item);
+      const parent = getParentNode(node);
+      (parent ? place(parent).children : roots).push(item);
+    }
+    return entries.get(node);
+  }
+  nodes.forEach(place);
+  return roots;
+}
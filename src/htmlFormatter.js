@@ -0,0 +1,200 @@
+// htmlFormatter.js
+// Standalone HTML report of query results: one page with inline CSS and script and the same columns
+// as the Markdown table. Headers sort the rows (siblings stay under their parent), nested rows (with
+// `children`, as for yaml --nested) can be collapsed, tags and stakeholders are badges and
+// description/notes are rendered as Markdown.
+import { tableColumns } from './tableFormatter.js';
+import { escapeHtml, renderMarkdown } from './markdown.js';
+
+// Fields rendered as Markdown
+const MARKDOWN_FIELDS = ['description', 'notes'];
+
+// List fields shown as badges, with their prefix macro
+const BADGE_FIELDS = { tags: '#', stakeholders: '@' };
+
+const STYLE = `
+body { font: 14px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 2rem; color: #1f2328; }
+h1 { font-size: 1.5rem; margin: 0 0 .25rem; }
+.meta { color: #656d76; margin: 0 0 1rem; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #d0d7de; padding: .4rem .6rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; white-space: nowrap; }
+th[aria-sort="ascending"]::after { content: " \\25B4"; }
+th[aria-sort="descending"]::after { content: " \\25BE"; }
+td { white-space: pre-wrap; }
+td.markdown { white-space: normal; }
+td.markdown > :first-child { margin-top: 0; }
+td.markdown > :last-child { margin-bottom: 0; }
+.markdown h1, .markdown h2, .markdown h3, .markdown h4, .markdown h5, .markdown h6 { font-size: 1em; margin: .5em 0 .25em; }
+.markdown pre { background: #f6f8fa; padding: .5em; overflow: auto; }
+.toggle { display: inline-block; width: 1.4em; border: 0; background: none; padding: 0; cursor: pointer; color: #656d76; }
+.badge { display: inline-block; border-radius: 1em; padding: 0 .55em; margin: 0 .2em .2em 0; font-size: .85em; white-space: nowrap; }
+.badge.tags { background: #ddf4ff; color: #0969da; }
+.badge.stakeholders { background: #fbefff; color: #8250df; }
+.empty { color: #656d76; }
+`;
+
+// Sorting and collapsing. Rows carry data-key (document order) and data-parent (the key of the row
+// they are nested under); cells carry data-sort, the text they sort by.
+const SCRIPT = `
+(function () {
+  var table = document.querySelector('table.report');
+  if (!table) return;
+  var body = table.tBodies[0];
+  var rows = Array.prototype.slice.call(body.rows);
+  var byKey = {};
+  rows.forEach(function (row) { byKey[row.dataset.key] = row; });
+  var sort = { column: -1, dir: 1 };
+
+  function compare(a, b) {
+    var order = a.dataset.key - b.dataset.key;
+    if (sort.column < 0) return order;
+    var x = a.cells[sort.column].dataset.sort || '';
+    var y = b.cells[sort.column].dataset.sort || '';
+    // Empty cells go last in both directions
+    if (x === '' || y === '') return x === y ? order : x === '' ? 1 : -1;
+    var cmp = !isNaN(Number(x)) && !isNaN(Number(y)) ? Number(x) - Number(y) : x.localeCompare(y, undefined, { numeric: true, sensitivity: 'base' });
+    return cmp * sort.dir || order;
+  }
+
+  // Rows under parent (all top-level rows for ''), sorted, each followed by its own subtree
+  function ordered(parent) {
+    return rows.filter(function (row) { return (row.dataset.parent || '') === parent; }).sort(compare)
+      .reduce(function (out, row) { return out.concat([row], ordered(row.dataset.key)); }, []);
+  }
+
+  function hiddenByParent(row) {
+    for (var p = byKey[row.dataset.parent]; p; p = byKey[p.dataset.parent]) {
+      if (p.classList.contains('collapsed')) return true;
+    }
+    return false;
+  }
+
+  function render() {
+    ordered('').forEach(function (row) {
+      body.appendChild(row);
+      row.hidden = hiddenByParent(row);
+    });
+  }
+
+  Array.prototype.forEach.call(table.tHead.rows[0].cells, function (th, idx) {
+    th.addEventListener('click', function () {
+      sort.dir = sort.column === idx ? -sort.dir : 1;
+      sort.column = idx;
+      Array.prototype.forEach.call(th.parentNode.cells, function (cell) { cell.removeAttribute('aria-sort'); });
+      th.setAttribute('aria-sort', sort.dir > 0 ? 'ascending' : 'descending');
+      render();
+    });
+  });
+
+  body.addEventListener('click', function (event) {
+    var button = event.target.closest('button.toggle');
+    if (!button) return;
+    var open = !button.closest('tr').classList.toggle('collapsed');
+    button.setAttribute('aria-expanded', String(open));
+    button.textContent = open ? '\\u25BE' : '\\u25B8';
+    render();
+  });
+})();
+`;
+
+// Rows in display order: nested rows are flattened depth-first, each with its key, the key of the
+// row it is nested under and its nesting level
+function flattenRows(rows, parent = null, level = 0, out = []) {
+  for (const row of rows) {
+    const { children, ...fields } = row;
+    const entry = { fields, key: out.length, parent, level, hasChildren: Array.isArray(children) && children.length > 0 };
+    out.push(entry);
+    if (entry.hasChildren) flattenRows(children, entry.key, level + 1, out);
+  }
+  return out;
+}
+
+// Field name without a JOIN alias (t.tags -> tags)
+function baseName(column) {
+  return column.slice(column.lastIndexOf('.') + 1);
+}
+
+function sortText(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function cellHtml(column, value) {
+  const name = baseName(column);
+  if (value === null || value === undefined) return '';
+  if (BADGE_FIELDS[name] && Array.isArray(value)) {
+    return value.map(item => `<span class="badge ${name}">${escapeHtml(BADGE_FIELDS[name] + item)}</span>`).join(' ');
+  }
+  if (MARKDOWN_FIELDS.includes(name) && typeof value === 'string') return renderMarkdown(value);
+  if (typeof value === 'boolean') return value ? '✅' : '';
+  return escapeHtml(sortText(value));
+}
+
+function rowHtml(entry, columns, toggleColumn) {
+  const attrs = [`data-key="${entry.key}"`];
+  if (entry.parent !== null) attrs.push(`data-parent="${entry.parent}"`);
+  const cells = columns.map(column => {
+    const value = entry.fields[column];
+    const classes = MARKDOWN_FIELDS.includes(baseName(column)) && typeof value === 'string' ? ' class="markdown"' : '';
+    let content = cellHtml(column, value);
+    let style = '';
+    if (column === toggleColumn) {
+      const toggle = entry.hasChildren
+        ? '<button class="toggle" type="button" aria-expanded="true" title="Collapse or expand subtasks">▾</button>'
+        : '<span class="toggle"></span>';
+      content = toggle + content;
+      if (entry.level) style = ` style="padding-left: ${0.6 + entry.level * 1.4}em"`;
+    }
+    return `<td${classes}${style} data-sort="${escapeHtml(sortText(value))}">${content}</td>`;
+  });
+  return `<tr ${attrs.join(' ')}>${cells.join('')}</tr>`;
+}
+
+// The page for rows (flat, or nested through `children`). options: columns (see tableColumns),
+// title (default 'Tasks'), subtitle (e.g. the query) and generated (a timestamp shown under the title).
+export function formatAsHtml(rows, options = {}) {
+  const entries = flattenRows(rows || []);
+  const columns = tableColumns(entries.map(entry => entry.fields), options);
+  const title = options.title ?? 'Tasks';
+  const meta = [`${entries.length} ${entries.length === 1 ? 'row' : 'rows'}`];
+  if (options.subtitle) meta.unshift(`<code>${escapeHtml(options.subtitle)}</code>`);
+  if (options.generated) meta.push(`generated ${escapeHtml(options.generated)}`);
+
+  let content;
+  if (!entries.length || !columns.length) {
+    content = '<p class="empty">No tasks found.</p>';
+  } else {
+    // Nesting is shown in the title column when there is one
+    const nested = entries.some(entry => entry.hasChildren);
+    const toggleColumn = nested ? columns.find(column => baseName(column) === 'title') ?? columns[0] : null;
+    content = [
+      '<table class="report">',
+      `<thead><tr>${columns.map(column => `<th scope="col">${escapeHtml(column)}</th>`).join('')}</tr></thead>`,
+      '<tbody>',
+      ...entries.map(entry => rowHtml(entry, columns, toggleColumn)),
+      '</tbody>',
+      '</table>'
+    ].join('\n');
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p class="meta">${meta.join(' · ')}</p>`,
+    content,
+    `<script>${SCRIPT}</script>`,
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
@@ -0,0 +1,150 @@
+// importer.js
+// `todo import` and `todo export`: task records (plain objects, one per task, as printed by
+// `-o ndjson`, or YAML lists with nested `children`) are turned into task nodes and inserted into a
+// file's tree. A record's optional `parent` is the id of another imported record or of a task
+// already in the file (a parent that is neither, as when a query selected a subtask but not its
+// parent, puts the record at the top level); nested children belong to the task they are listed under.
+import { ensureIdOnNode } from './parser.js';
+import { collectTasks, resolveIdByPrefix } from './utils.js';
+import { placeTask } from './tree.js';
+import { parseYaml, stringifyYaml } from './yaml.js';
+
+export const IMPORT_FORMATS = ['ndjson', 'yaml'];
+export const EXPORT_FORMATS = ['yaml'];
+
+// Fields stored as arrays; a string value is split on commas
+const ARRAY_FIELDS = ['tags', 'stakeholders'];
+
+// Row metadata of query output (and the nesting of YAML records) rather than task data
+const ROW_FIELDS = ['id', 'parent', 'file', 'children'];
+
+// One JSON object per line; blank lines are skipped. Returns [{ where, value }]
+export function parseNdjson(text) {
+  const records = [];
+  text.split(/\r?\n/).forEach((line, idx) => {
+    if (!line.trim()) return;
+    const where = `Line ${idx + 1}`;
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${where}: invalid JSON (${err.message})`);
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`${where}: expected a task object, got ${JSON.stringify(value)}`);
+    }
+    records.push({ where, value });
+  });
+  return records;
+}
+
+// A YAML list of task mappings, each with optional nested `children`. Returns [{ where, value,
+// parentRecord }] in document order; parentRecord is the record a child is listed under.
+export function parseYamlTasks(text) {
+  const tasks = parseYaml(text) ?? [];
+  if (!Array.isArray(tasks)) throw new Error('YAML import expects a list of tasks');
+  const records = [];
+  function walk(items, parentRecord, path) {
+    items.forEach((value, idx) => {
+      const where = `Task ${[...path, idx + 1].join('.')}`;
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${where}: expected a task mapping, got ${JSON.stringify(value)}`);
+      }
+      const record = { where, value, parentRecord };
+      records.push(record);
+      const children = value.children ?? [];
+      if (!Array.isArray(children)) throw new Error(`${where}: children must be a list of tasks`);
+      walk(children, record, [...path, idx + 1]);
+    });
+  }
+  walk(tasks, null, []);
+  return records;
+}
+
+export function parseImport(text, from) {
+  if (from === 'ndjson') return parseNdjson(text);
+  if (from === 'yaml') return parseYamlTasks(text);
+  throw new Error(`Unsupported import format '${from}'. Supported formats: ${IMPORT_FORMATS.join(', ')}`);
+}
+
+function recordData(record) {
+  const data = {};
+  for (const [key, value] of Object.entries(record.value)) {
+    if (ROW_FIELDS.includes(key) || value === null || value === undefined) continue;
+    if (ARRAY_FIELDS.includes(key)) {
+      const items = Array.isArray(value) ? value : String(value).split(',');
+      data[key] = items.map(item => String(item).trim()).filter(item => item.length > 0);
+    } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+      data[key] = value;
+    } else {
+      throw new Error(`${record.where}: field '${key}' must be a string, number or boolean`);
+    }
+  }
+  return data;
+}
+
+// Insert the records into rootTasks and return the new nodes in record order. Ids given in records
+// are kept (others are computed as for INSERT) and must not clash; records without a parent, or
+// whose parent matches no imported or existing task, go to the top level, children follow their
+// parent whatever the record order. Nothing is inserted when any record is invalid.
+export function importRecords(rootTasks, records) {
+  const existing = new Set(collectTasks(rootTasks).map(task => String(task.id)));
+  const imported = new Map();
+  const byRecord = new Map();
+  const entries = records.map(record => {
+    const node = { data: recordData(record), children: [], indent: 0, inline: 'dummy' };
+    if (record.value.id !== undefined && record.value.id !== null) node.data.id = String(record.value.id);
+    ensureIdOnNode(node);
+    if (existing.has(node.id) || imported.has(node.id)) {
+      throw new Error(`${record.where}: task id '${node.id}' already exists (give the record a unique id)`);
+    }
+    let parent = record.value.parent === undefined || record.value.parent === null ? null : String(record.value.parent);
+    // Parents come before their nested children, so their ids are known here
+    if (record.parentRecord) parent = byRecord.get(record.parentRecord).node.id;
+    const entry = { record, node, parent };
+    imported.set(node.id, entry);
+    byRecord.set(record, entry);
+    return entry;
+  });
+
+  for (const entry of entries) {
+    if (entry.parent === null || imported.has(entry.parent)) continue;
+    if (!existing.has(entry.parent) && ![...existing].some(id => id.startsWith(entry.parent))) {
+      entry.parent = null;
+      continue;
+    }
+    try {
+      resolveIdByPrefix(rootTasks, entry.parent);
+    } catch (err) {
+      throw new Error(`${entry.record.where}: parent '${entry.parent}' is ambiguous (${err.message})`);
+    }
+  }
+  // Parents among the imported records must not loop back to the record itself
+  for (const entry of entries) {
+    const seen = new Set([entry.node.id]);
+    for (let parent = entry.parent; parent !== null && imported.has(parent); parent = imported.get(parent).parent) {
+      if (seen.has(parent)) throw new Error(`${entry.record.where}: parent '${entry.parent}' makes a cycle`);
+      seen.add(parent);
+    }
+  }
+
+  for (const entry of entries) {
+    if (entry.parent === null) rootTasks.push(entry.node);
+    else if (imported.has(entry.parent)) imported.get(entry.parent).node.children.push(entry.node);
+    else placeTask(rootTasks, entry.node, { type: 'under', id: entry.parent });
+  }
+  return entries.map(entry => entry.node);
+}
+
+// A task tree as nested records: each task's fields (id included) with its subtasks as children
+export function treeToRecords(rootTasks) {
+  return rootTasks.map(node => ({
+    ...node.data,
+    ...(node.children?.length ? { children: treeToRecords(node.children) } : {})
+  }));
+}
+
+export function formatExport(rootTasks, to) {
+  if (to === 'yaml') return stringifyYaml(treeToRecords(rootTasks));
+  throw new Error(`Unsupported export format '${to}'. Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+}
@@ -0,0 +1,44 @@
+// join.js
+// Combine task rows from several files for SELECT ... JOIN queries.
+import { evaluateWhere } from './query.js';
+
+// Prefix every column of a task row with its table alias: { title } -> { 't.title' }
+export function prefixRow(row, alias) {
+  const out = {};
+  for (const [key, value] of Object.entries(row)) out[`${alias}.${key}`] = value;
+  return out;
+}
+
+// Nested-loop join of alias-prefixed rows; LEFT joins keep left rows that match nothing
+export function joinRows(leftRows, rightRows, join) {
+  const out = [];
+  for (const left of leftRows) {
+    let matched = false;
+    for (const right of rightRows) {
+      const combined = { ...left, ...right };
+      if (evaluateWhere(combined, join.on)) {
+        out.push(combined);
+        matched = true;
+      }
+    }
+    if (!matched && join.type === 'left') out.push({ ...left });
+  }
+  return out;
+}
+
+// Pick the selected columns from a joined row; `alias.*` expands to all of that table's columns
+export function projectRow(row, fields) {
+  if (fields[0] === '*') return row;
+  const out = {};
+  for (const field of fields) {
+    if (field.endsWith('.*')) {
+      const prefix = field.slice(0, -1);
+      for (const key of Object.keys(row)) {
+        if (key.startsWith(prefix)) out[key] = row[key];
+      }
+    } else {
+      out[field] = row[field] ?? null;
+    }
+  }
+  return out;
+}
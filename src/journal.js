@@ -0,0 +1,117 @@
+// journal.js
+// Append-only undo journal kept next to the task files (<dir>/.todo/journal, one JSON entry per line).
+// Every write records the ## TODO section of each file it wrote before and after; undo/redo append
+// markers instead of rewriting history, so replaying the journal tells which writes are currently applied.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { acquireLock } from './atomicWrite.js';
+
+export const JOURNAL_DIR = '.todo';
+
+export function journalPath(dir) {
+  return path.join(dir, JOURNAL_DIR, 'journal');
+}
+
+export function readJournal(dir) {
+  const file = journalPath(dir);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map((line, idx) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`Corrupt journal entry at ${file}:${idx + 1}`);
+    }
+  });
+}
+
+// The journal is locked while the next seq is read and the entry appended, so concurrent writers
+// to different files of a directory cannot interleave or reuse numbers
+function appendEntry(dir, entry) {
+  fs.mkdirSync(path.join(dir, JOURNAL_DIR), { recursive: true });
+  const release = acquireLock(journalPath(dir));
+  try {
+    const entries = readJournal(dir);
+    const seq = entries.length ? entries[entries.length - 1].seq + 1 : 1;
+    const record = { seq, time: new Date().toISOString(), ...entry };
+    fs.appendFileSync(journalPath(dir), JSON.stringify(record) + '\n', 'utf8');
+    return record;
+  } finally {
+    release();
+  }
+}
+
+// One command's write of files ([{ file, before, after }]; before is null when the file, or its
+// ## TODO section, did not exist yet). Files of one directory share an entry, with before and after
+// keyed by file name; a write spanning directories gets an entry in each journal, linked by a batch
+// id and listing the other directories' files in others. Returns the entries.
+export function recordWrite(command, files) {
+  const byDir = new Map();
+  for (const write of files) {
+    const dir = path.dirname(path.resolve(write.file));
+    if (!byDir.has(dir)) byDir.set(dir, []);
+    byDir.get(dir).push(write);
+  }
+  const batch = byDir.size > 1 ? crypto.randomUUID() : undefined;
+  return [...byDir].map(([dir, writes]) => {
+    const names = writes.map(({ file }) => path.basename(file));
+    const entry = {
+      op: 'write',
+      command,
+      files: names,
+      before: Object.fromEntries(writes.map(({ before }, idx) => [names[idx], before])),
+      after: Object.fromEntries(writes.map(({ after }, idx) => [names[idx], after]))
+    };
+    if (batch) {
+      entry.batch = batch;
+      entry.others = files.filter(write => !writes.includes(write)).map(({ file }) => path.relative(dir, path.resolve(file)));
+    }
+    return appendEntry(dir, entry);
+  });
+}
+
+// Markers for undoing or redoing target (a write entry of dir's journal); they apply to all its files
+export function recordUndo(dir, target) {
+  return appendEntry(dir, { op: 'undo', target: target.seq, files: target.files });
+}
+
+export function recordRedo(dir, target) {
+  return appendEntry(dir, { op: 'redo', target: target.seq, files: target.files });
+}
+
+// Replay the journal for one file: writes still applied (oldest first) and undone writes that
+// can be redone (most recently undone last). A new write discards the redo list.
+export function undoState(file) {
+  const name = path.basename(file);
+  const applied = [];
+  const undone = [];
+  for (const entry of readJournal(path.dirname(file))) {
+    if (!entry.files.includes(name)) continue;
+    if (entry.op === 'write') {
+      applied.push(entry);
+      undone.length = 0;
+    } else {
+      const [from, to] = entry.op === 'undo' ? [applied, undone] : [undone, applied];
+      const idx = from.findIndex(write => write.seq === entry.target);
+      if (idx >= 0) to.push(...from.splice(idx, 1));
+    }
+  }
+  return { applied, undone };
+}
+
+// Every file of the write entry that undo (or redo) of file would revert (or re-apply), as
+// [{ file, entry }] with the entry journaling it. The write must be the latest applied (undone) one
+// for each of them; otherwise only part of it could be restored, so this throws.
+export function writeGroup(file, entry, which) {
+  const dir = path.dirname(file);
+  return [...entry.files, ...(entry.others ?? [])].map(name => {
+    const member = path.join(dir, name);
+    const latest = undoState(member)[which].at(-1);
+    // Files of this journal share the entry itself, files elsewhere an entry with the same batch id
+    const matches = entry.files.includes(name) ? latest?.seq === entry.seq : latest !== undefined && latest.batch === entry.batch;
+    if (!matches) {
+      throw new Error(`Entry #${entry.seq} also wrote ${member}, which has been written, undone or redone since; it can only be ${which === 'applied' ? 'undone' : 'redone'} together with that file`);
+    }
+    return { file: member, entry: latest };
+  });
+}
@@ -0,0 +1,69 @@
+// markdown.js
+// HTML escaping and a small Markdown renderer for task text in HTML reports: paragraphs, # headings,
+// - / 1. lists, > quotes, ``` code blocks, and inline `code`, **bold**, *emphasis* and [links](url).
+// Everything is escaped first, so task text cannot inject markup; links only keep safe URLs.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// http(s), mailto, fragments and relative paths; anything else (javascript:, data:) is dropped
+function safeUrl(url) {
+  return /^(https?:|mailto:|#|\/|\.)/i.test(url) || !/^[^/?#]*:/.test(url);
+}
+
+// Inline markup of already escaped text; code spans are left as they are
+function renderInline(text) {
+  return text.split(/(`[^`]+`)/).map((part, idx) => {
+    if (idx % 2 === 1) return `<code>${part.slice(1, -1)}</code>`;
+    return part
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (safeUrl(url) ? `<a href="${url}">${label}</a>` : label))
+      .replace(/\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g, (match, a, b) => `<strong>${a ?? b}</strong>`)
+      .replace(/\*(\S(?:.*?\S)?)\*|\b_(\S(?:.*?\S)?)_\b/g, (match, a, b) => `<em>${a ?? b}</em>`);
+  }).join('');
+}
+
+const LIST_ITEM = { ul: /^\s*[-*+]\s+(.*)$/, ol: /^\s*\d+[.)]\s+(.*)$/ };
+
+export function renderMarkdown(text) {
+  const lines = escapeHtml(text).split(/\r?\n/);
+  const html = [];
+  let idx = 0;
+  while (idx < lines.length) {
+    const line = lines[idx];
+    if (!line.trim()) {
+      idx++;
+    } else if (/^\s*```/.test(line)) {
+      const code = [];
+      for (idx++; idx < lines.length && !/^\s*```/.test(lines[idx]); idx++) code.push(lines[idx]);
+      idx++;
+      html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+    } else if (/^#{1,6}\s/.test(line)) {
+      const [, hashes, heading] = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+      html.push(`<h${hashes.length}>${renderInline(heading)}</h${hashes.length}>`);
+      idx++;
+    } else if (LIST_ITEM.ul.test(line) || LIST_ITEM.ol.test(line)) {
+      const tag = LIST_ITEM.ul.test(line) ? 'ul' : 'ol';
+      const items = [];
+      for (; idx < lines.length && LIST_ITEM[tag].test(lines[idx]); idx++) {
+        items.push(`<li>${renderInline(lines[idx].match(LIST_ITEM[tag])[1])}</li>`);
+      }
+      html.push(`<${tag}>${items.join('')}</${tag}>`);
+    } else if (/^\s*&gt;/.test(line)) {
+      const quoted = [];
+      for (; idx < lines.length && /^\s*&gt;/.test(lines[idx]); idx++) quoted.push(lines[idx].replace(/^\s*&gt;\s?/, ''));
+      html.push(`<blockquote><p>${renderInline(quoted.join(' '))}</p></blockquote>`);
+    } else {
+      // A paragraph runs to the next blank line or block
+      const para = [];
+      for (; idx < lines.length && lines[idx].trim() && !/^\s*(```|#{1,6}\s|&gt;|[-*+]\s|\d+[.)]\s)/.test(lines[idx]); idx++) {
+        para.push(lines[idx].trim());
+      }
+      if (!para.length) para.push(lines[idx++].trim());
+      html.push(`<p>${renderInline(para.join(' '))}</p>`);
+    }
+  }
+  return html.join('\n');
+}
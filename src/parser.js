@@ -2,11 +2,13 @@
 import fs from 'fs';
 import { computeDeterministicId } from './utils.js';
 import { lintLines } from './linter.js';
+import { rememberRead } from './atomicWrite.js';
 
 const PREFIX_TOKEN_RE = /^([A-Dx\-]$)|^#(.+)$|^@(.+)$/; // simple check
 
 export function loadFileLines(filePath) {
   const raw = fs.readFileSync(filePath, 'utf8');
+  rememberRead(filePath, raw);
   return raw.split(/\r?\n/);
 }
 
@@ -0,0 +1,124 @@
+// planner.js
+// SELECT as an explicit pipeline: scan → join → filter → group → having → sort → seek → offset →
+// limit → project (or into). planSelect lists the steps a query needs, executePlan runs them over
+// in-memory rows and describeStep renders a step for EXPLAIN.
+import { evaluateWhere, formatCondition, formatSortSpec, isAggregateQuery } from './query.js';
+import { compareByKeys, multiKeySort } from './utils.js';
+import { aggregateRows } from './aggregate.js';
+import { joinRows, projectRow } from './join.js';
+
+// Steps of a parsed SELECT; options.after is the --after cursor (a task id)
+export function planSelect(query, { after } = {}) {
+  const aggregated = isAggregateQuery(query);
+  const steps = [{ op: 'scan', files: query.files, alias: query.alias }];
+  for (const join of query.joins || []) steps.push({ op: 'join', ...join });
+  if (query.where) steps.push({ op: 'filter', where: query.where });
+  if (aggregated) {
+    steps.push({ op: 'group', groupBy: query.groupBy || [], aggregates: query.aggregates || [] });
+    if (query.having) steps.push({ op: 'having', where: query.having });
+  }
+  if (query.orderBy) steps.push({ op: 'sort', orderBy: query.orderBy });
+  if (after !== undefined) steps.push({ op: 'seek', after: String(after), orderBy: query.orderBy || [] });
+  if (query.offset !== undefined) steps.push({ op: 'offset', offset: query.offset });
+  if (query.limit !== undefined) steps.push({ op: 'limit', limit: query.limit });
+  if (query.into) {
+    steps.push({ op: 'into', file: query.into });
+  } else {
+    const kind = aggregated ? 'group' : query.alias ? 'row' : 'task';
+    steps.push({ op: 'project', kind, fields: query.fields });
+  }
+  return { steps };
+}
+
+// One-line description of a step, as printed by EXPLAIN
+export function describeStep(step) {
+  switch (step.op) {
+    case 'scan':
+      return `${step.files.join(', ')}${step.alias ? ` AS ${step.alias}` : ''}`;
+    case 'join':
+      return `${step.type === 'left' ? 'LEFT ' : ''}JOIN ${step.file} AS ${step.alias} ON ${formatCondition(step.on)}`;
+    case 'filter':
+    case 'having':
+      return formatCondition(step.where);
+    case 'group': {
+      const aggregates = step.aggregates.map(a => `${a.fn}(${a.field})${a.label !== `${a.fn}(${a.field})` ? ` AS ${a.label}` : ''}`);
+      const by = step.groupBy.length ? `BY ${step.groupBy.join(', ')}` : 'all rows';
+      return `${by}${aggregates.length ? `: ${aggregates.join(', ')}` : ''}`;
+    }
+    case 'sort':
+      return step.orderBy.map(formatSortSpec).join(', ');
+    case 'seek':
+      return `rows after task ${step.after}${step.orderBy.length ? ' in sort order' : ' in file order'}`;
+    case 'offset':
+      return `skip ${step.offset}`;
+    case 'limit':
+      return `first ${step.limit}`;
+    case 'project':
+      return step.fields.join(', ');
+    case 'into':
+      return `write ${step.file} (tasks keep their nearest selected ancestor)`;
+    default:
+      throw new Error(`Unknown plan step: ${step.op}`);
+  }
+}
+
+// Run a plan. source.scan(step) returns the scanned rows (task nodes, or alias-prefixed rows for joins),
+// source.join(step) the rows of a joined table and source.project(row, fields) a task's output row.
+// Returns { rows, more }, where more tells whether LIMIT cut rows off.
+export function executePlan(plan, source) {
+  let rows = [];
+  let scanned = [];
+  let more = false;
+  for (const step of plan.steps) {
+    switch (step.op) {
+      case 'scan':
+        scanned = source.scan(step);
+        rows = scanned;
+        break;
+      case 'join':
+        rows = joinRows(rows, source.join(step), step);
+        break;
+      case 'filter':
+      case 'having':
+        rows = rows.filter(row => evaluateWhere(row, step.where));
+        break;
+      case 'group':
+        rows = aggregateRows(rows, step.groupBy, step.aggregates);
+        break;
+      case 'sort':
+        rows = [...rows];
+        multiKeySort(rows, step.orderBy);
+        break;
+      case 'seek': {
+        // The cursor is located among all scanned tasks, so it still works once the task itself no
+        // longer matches the filter; ties are broken by scan order, like the stable sort
+        const position = new Map(scanned.map((row, idx) => [row, idx]));
+        const cursor = scanned.find(row => String(row.id) === step.after);
+        if (!cursor) throw new Error(`--after '${step.after}' does not match any task id`);
+        rows = rows.filter(row => {
+          const cmp = compareByKeys(row, cursor, step.orderBy);
+          return cmp > 0 || (cmp === 0 && position.get(row) > position.get(cursor));
+        });
+        break;
+      }
+      case 'offset':
+        rows = rows.slice(step.offset);
+        break;
+      case 'limit':
+        more = rows.length > step.limit;
+        rows = rows.slice(0, step.limit);
+        break;
+      case 'project':
+        if (step.kind === 'group') rows = rows.map(row => Object.fromEntries(step.fields.map(field => [field, row[field] ?? null])));
+        else if (step.kind === 'row') rows = rows.map(row => projectRow(row, step.fields));
+        else rows = rows.map(row => source.project(row, step.fields));
+        break;
+      case 'into':
+        // The caller writes the selected tasks
+        break;
+      default:
+        throw new Error(`Unknown plan step: ${step.op}`);
+    }
+  }
+  return { rows, more };
+}
@@ -0,0 +1,1201 @@
+// query.js
+// Tokenizer, parser and WHERE evaluator for the SQL-like query language (see QUERY.ABNF.md).
+import { isGlobPattern } from './utils.js';
+import { getParentNode, hasChildren, isDescendantOf, isAncestorOf } from './hierarchy.js';
+import { DAY_MS, compareTyped, parseDuration, shiftDateTime, today, now } from './types.js';
+
+const COMPARISON_OPS = ['=', '!=', '<>', '<', '>', '<=', '>='];
+
+export const AGGREGATE_FUNCTIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+// Functions usable in SET value expressions and as WHERE values, with their argument counts
+// (null: any number)
+export const SCALAR_FUNCTIONS = ['CONCAT', 'TODAY', 'NOW', 'DATE_ADD'];
+const FUNCTION_ARITY = { CONCAT: null, TODAY: 0, NOW: 0, DATE_ADD: 2 };
+
+// ORDER BY ... COLLATE: binary compares code units, nocase ignores case, natural also orders digit runs
+// by value (task 2 before task 10)
+export const COLLATIONS = ['binary', 'nocase', 'natural'];
+
+// Fields stored as arrays; `+`/`-` add and remove elements
+const ARRAY_FIELDS = ['tags', 'stakeholders'];
+
+// Words that end a FROM/JOIN table reference, so they are never taken as a table alias
+const TABLE_CLAUSE_KEYWORDS = ['WHERE', 'JOIN', 'LEFT', 'INNER', 'OUTER', 'ON', 'AS', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'INTO'];
+
+// Helper function to process escape sequences in parsed values
+export function processEscapeSequences(value) {
+  return value
+    .replace(/\\n/g, '\n')
+    .replace(/\\r/g, '\r')
+    .replace(/\\t/g, '\t')
+    .replace(/\\\\/g, '\\');
+}
+
+// Convert a literal token into the value used for comparisons and assignments
+export function parseLiteral(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value !== '' && !isNaN(value)) return Number(value);
+  return processEscapeSequences(value);
+}
+
+// Convert a bound --param string like a literal (booleans, numbers), but verbatim otherwise: no escapes
+export function parseParamValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value.trim() !== '' && !isNaN(value)) return Number(value);
+  return value;
+}
+
+// Split a query string into tokens: { type: 'word' | 'string' | 'op' | 'punct' | 'param', value }.
+// Placeholders are `?` (named by position: 1, 2, ...), `:name`, and environment variables `$NAME` or
+// `${NAME}` (named `$NAME`).
+export function tokenizeQuery(query) {
+  const tokens = [];
+  let positional = 0;
+  let i = 0;
+  while (i < query.length) {
+    if (query[i] === '"' || query[i] === "'") {
+      const quote = query[i];
+      i++;
+      let str = '';
+      let closed = false;
+      while (i < query.length) {
+        if (query[i] === '\\' && i + 1 < query.length) {
+          // Handle backslash escaping
+          const nextChar = query[i + 1];
+          if (nextChar === quote || nextChar === '\\') {
+            str += nextChar; // Add the escaped character
+            i += 2; // Skip both backslash and escaped character
+          } else {
+            str += query[i]; // Just add the backslash as-is
+            i++;
+          }
+        } else if (query[i] === quote) {
+          // Check if next character is also the same quote (SQL-style escape sequence)
+          if (i + 1 < query.length && query[i + 1] === quote) {
+            str += quote; // Add the escaped quote to the string
+            i += 2; // Skip both quote characters
+          } else {
+            // End of string
+            i++; // Skip the closing quote
+            closed = true;
+            break;
+          }
+        } else {
+          str += query[i];
+          i++;
+        }
+      }
+      if (!closed) throw new Error(`Unterminated string starting with ${quote}${str}`);
+      tokens.push({ type: 'string', value: str });
+    } else if (query[i] === '/' && isMatchesKeyword(tokens[tokens.length - 1])) {
+      // Regex literal: /pattern/flags, only recognised right after MATCHES
+      i++;
+      let pattern = '';
+      let closed = false;
+      while (i < query.length) {
+        if (query[i] === '\\' && i + 1 < query.length) {
+          pattern += query[i] + query[i + 1];
+          i += 2;
+        } else if (query[i] === '/') {
+          i++;
+          closed = true;
+          break;
+        } else {
+          pattern += query[i];
+          i++;
+        }
+      }
+      if (!closed) throw new Error(`Unterminated regular expression /${pattern}`);
+      let flags = '';
+      while (i < query.length && /[a-z]/.test(query[i])) flags += query[i++];
+      tokens.push({ type: 'regex', value: pattern, flags });
+    } else if (query[i] === '?' && (i + 1 === query.length || /[\s,()=<>!]/.test(query[i + 1]))) {
+      positional++;
+      tokens.push({ type: 'param', value: '?', name: String(positional) });
+      i++;
+    } else if (query[i] === ':' && /[A-Za-z_]/.test(query[i + 1] || '')) {
+      let name = '';
+      i++;
+      while (i < query.length && /\w/.test(query[i])) name += query[i++];
+      tokens.push({ type: 'param', value: `:${name}`, name });
+    } else if (query[i] === '$' && /[A-Za-z_{]/.test(query[i + 1] || '')) {
+      const braced = query[i + 1] === '{';
+      const start = i;
+      i += braced ? 2 : 1;
+      let name = '';
+      while (i < query.length && /\w/.test(query[i])) name += query[i++];
+      if (braced) {
+        if (query[i] !== '}' || !name) throw new Error(`Invalid variable reference ${query.slice(start, i + 1)}`);
+        i++;
+      }
+      tokens.push({ type: 'param', value: query.slice(start, i), name: `$${name}` });
+    } else if (/\s/.test(query[i])) {
+      i++;
+    } else if (query[i] === ',' || query[i] === '(' || query[i] === ')') {
+      tokens.push({ type: 'punct', value: query[i] });
+      i++;
+    } else if ('=<>!'.includes(query[i])) {
+      const two = query.slice(i, i + 2);
+      if (COMPARISON_OPS.includes(two)) {
+        tokens.push({ type: 'op', value: two });
+        i += 2;
+      } else if (query[i] === '!') {
+        throw new Error(`Unexpected character '!' at position ${i}`);
+      } else {
+        tokens.push({ type: 'op', value: query[i] });
+        i++;
+      }
+    } else {
+      let word = '';
+      while (i < query.length && !/\s/.test(query[i]) && !',()=<>!'.includes(query[i])) {
+        word += query[i];
+        i++;
+      }
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+  return tokens;
+}
+
+function isMatchesKeyword(tok) {
+  return !!tok && tok.type === 'word' && tok.value.toUpperCase() === 'MATCHES';
+}
+
+// Parse a full query string into a command object; `where` holds an expression AST
+export function parseQuery(query) {
+  const tokens = tokenizeQuery(query);
+  let i = 0;
+
+  function peek() { return tokens[i]; }
+  function consume() { return tokens[i++]; }
+  // True when the next token is the given (case-insensitive) keyword
+  function isKeyword(word, offset = 0) {
+    const tok = tokens[i + offset];
+    return !!tok && tok.type === 'word' && tok.value.toUpperCase() === word;
+  }
+  function isPunct(ch) {
+    const tok = peek();
+    return !!tok && tok.type === 'punct' && tok.value === ch;
+  }
+  function describe(tok) {
+    return tok ? tok.value : 'end of query';
+  }
+  function expect(word) {
+    if (!isKeyword(word.toUpperCase())) throw new Error(`Expected '${word}', got '${describe(peek())}'`);
+    return consume().value;
+  }
+  function expectPunct(ch) {
+    if (!isPunct(ch)) throw new Error(`Expected '${ch}', got '${describe(peek())}'`);
+    return consume().value;
+  }
+  function consumeValue(what) {
+    const tok = consume();
+    if (!tok || (tok.type !== 'word' && tok.type !== 'string')) {
+      throw new Error(`Expected ${what}, got '${describe(tok)}'`);
+    }
+    return tok.value;
+  }
+  // Value position that may hold a placeholder, bound after parsing by bindParams
+  function isParam() {
+    return peek()?.type === 'param';
+  }
+  function consumeParam() {
+    return { type: 'param', name: consume().name };
+  }
+  function consumeLiteral(what) {
+    return isParam() ? consumeParam() : parseLiteral(consumeValue(what));
+  }
+  // WHERE values may also be function calls such as TODAY() or DATE_ADD(due, 7d)
+  function consumeOperand(field, what) {
+    return isFunctionCall() ? parseValueTerm(field) : consumeLiteral(what);
+  }
+  function consumeIdentifier() {
+    const tok = consume();
+    if (!tok || tok.type !== 'word') throw new Error(`Expected field name, got '${describe(tok)}'`);
+    return tok.value;
+  }
+
+  // Aggregates are only valid in the select list, HAVING and ORDER BY of a SELECT
+  const aggregates = [];
+  let allowAggregates = false;
+  function isAggregateCall() {
+    return AGGREGATE_FUNCTIONS.some(fn => isKeyword(fn)) &&
+      tokens[i + 1]?.type === 'punct' && tokens[i + 1].value === '(';
+  }
+  // COUNT(*), SUM(weight), ...; registers the aggregate so it is computed even when not selected
+  function parseAggregate(hidden) {
+    if (!allowAggregates) throw new Error(`Aggregate function ${peek().value.toUpperCase()}() is not allowed here`);
+    const fn = consume().value.toUpperCase();
+    expectPunct('(');
+    const tok = consume();
+    if (!tok || tok.type !== 'word') throw new Error(`Expected field name in ${fn}(), got '${describe(tok)}'`);
+    const field = tok.value;
+    if (field === '*' && fn !== 'COUNT') throw new Error(`${fn}(*) is not supported, use ${fn}(<field>)`);
+    expectPunct(')');
+    let label = `${fn}(${field})`;
+    if (!hidden && isKeyword('AS')) {
+      consume();
+      label = consumeIdentifier();
+    }
+    const existing = aggregates.find(a => a.label === label);
+    if (existing) {
+      if (existing.fn !== fn || existing.field !== field) throw new Error(`Duplicate column name '${label}'`);
+      if (!hidden) existing.hidden = false;
+    } else {
+      aggregates.push({ fn, field, label, hidden });
+    }
+    return label;
+  }
+
+  // key [COLLATE name] [ASC|DESC] [NULLS FIRST|LAST], where key may be FIELD(field, 'v1', 'v2', ...)
+  function parseSortSpec() {
+    let spec;
+    if (isKeyword('FIELD') && tokens[i + 1]?.type === 'punct' && tokens[i + 1].value === '(') {
+      consume();
+      consume();
+      spec = { key: consumeValue('field name in FIELD()'), values: [] };
+      while (isPunct(',')) {
+        consume();
+        spec.values.push(parseLiteral(consumeValue('value in FIELD()')));
+      }
+      expectPunct(')');
+      if (!spec.values.length) throw new Error(`FIELD(${spec.key}) needs at least one value to order by`);
+    } else {
+      spec = { key: isAggregateCall() ? parseAggregate(true) : consumeValue('sort key') };
+    }
+    if (isKeyword('COLLATE')) {
+      consume();
+      const collation = consumeValue('collation after COLLATE').toLowerCase();
+      if (!COLLATIONS.includes(collation)) {
+        throw new Error(`Unknown collation '${collation}' (expected ${COLLATIONS.map(c => c.toUpperCase()).join(', ')})`);
+      }
+      spec.collate = collation;
+    }
+    spec.dir = isKeyword('ASC') || isKeyword('DESC') ? consume().value.toLowerCase() : 'asc';
+    if (isKeyword('NULLS')) {
+      consume();
+      if (!isKeyword('FIRST') && !isKeyword('LAST')) throw new Error(`Expected FIRST or LAST after NULLS, got '${describe(peek())}'`);
+      spec.nulls = consume().value.toLowerCase();
+    }
+    return spec;
+  }
+
+  // FROM/UPDATE/DELETE accept a comma-separated list of paths or glob patterns
+  function parseFileList() {
+    const files = [consumeValue('file name')];
+    while (isPunct(',')) {
+      consume();
+      files.push(consumeValue('file name'));
+    }
+    return files;
+  }
+
+  // Table aliases declared in FROM/JOIN; `alias.field` on the right of a comparison is a field reference
+  const aliases = [];
+  function parseAlias() {
+    if (isKeyword('AS')) {
+      consume();
+      return consumeIdentifier();
+    }
+    const tok = peek();
+    if (tok && tok.type === 'word' && !TABLE_CLAUSE_KEYWORDS.includes(tok.value.toUpperCase())) return consume().value;
+    return null;
+  }
+  // Without an explicit alias a table is named after its file: people.task.md -> people
+  function defaultAlias(file) {
+    const name = file.split(/[\\/]/).pop().split('.')[0];
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`Table '${file}' needs an alias, e.g. FROM '${file}' t`);
+    return name;
+  }
+  function registerAlias(alias) {
+    if (aliases.includes(alias)) throw new Error(`Duplicate table alias '${alias}'`);
+    aliases.push(alias);
+    return alias;
+  }
+  function isFieldReference(tok) {
+    if (!tok || tok.type !== 'word') return false;
+    const dot = tok.value.indexOf('.');
+    return dot > 0 && aliases.includes(tok.value.slice(0, dot));
+  }
+  function assertQualified(name) {
+    const dot = name.indexOf('.');
+    if (dot <= 0 || !aliases.includes(name.slice(0, dot))) {
+      throw new Error(`Field '${name}' must be qualified with a table alias (${aliases.join(', ')})`);
+    }
+  }
+
+  // Boolean expression grammar, lowest to highest precedence: OR, AND, NOT, primary
+  function parseOr() {
+    let left = parseAnd();
+    while (isKeyword('OR')) {
+      consume();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+  function parseAnd() {
+    let left = parseNot();
+    while (isKeyword('AND')) {
+      consume();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+  // Hierarchy predicates need parsed task nodes, so they are unavailable in JOIN ON/WHERE and HAVING
+  let allowHierarchy = true;
+  function assertHierarchyAllowed(what) {
+    if (aliases.length) throw new Error(`${what} cannot be used with JOIN or table aliases`);
+    if (!allowHierarchy) throw new Error(`${what} cannot be used in HAVING`);
+  }
+  function parseNot() {
+    if (isKeyword('NOT')) {
+      consume();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  }
+  function parsePrimary() {
+    if (isPunct('(')) {
+      consume();
+      const expr = parseOr();
+      expectPunct(')');
+      return expr;
+    }
+    // DESCENDANT OF 'id', ANCESTOR OF 'id', HAS CHILDREN
+    if ((isKeyword('DESCENDANT') || isKeyword('ANCESTOR')) && isKeyword('OF', 1)) {
+      const relation = consume().value.toUpperCase();
+      consume();
+      assertHierarchyAllowed(`${relation} OF`);
+      const id = isParam() ? consumeParam() : consumeValue(`task id after '${relation} OF'`);
+      return { type: relation === 'DESCENDANT' ? 'descendant' : 'ancestor', id };
+    }
+    if (isKeyword('HAS') && isKeyword('CHILDREN', 1)) {
+      consume();
+      consume();
+      assertHierarchyAllowed('HAS CHILDREN');
+      return { type: 'hasChildren' };
+    }
+    const field = isAggregateCall() ? parseAggregate(true) : consumeIdentifier();
+    if (isKeyword('IS')) {
+      consume();
+      let negated = false;
+      if (isKeyword('NOT')) { consume(); negated = true; }
+      expect('NULL');
+      return { type: 'null', field, negated };
+    }
+    // `field NOT IN/LIKE/BETWEEN/MATCHES/CONTAINS ...` negates the predicate that follows
+    if (isKeyword('NOT')) {
+      consume();
+      if (!['IN', 'LIKE', 'BETWEEN', 'MATCHES', 'CONTAINS'].some(w => isKeyword(w))) {
+        throw new Error(`Expected IN, LIKE, BETWEEN, MATCHES or CONTAINS after '${field} NOT', got '${describe(peek())}'`);
+      }
+      return { type: 'not', operand: parsePredicate(field) };
+    }
+    return parsePredicate(field);
+  }
+  function parsePredicate(field) {
+    if (isKeyword('IN')) {
+      consume();
+      expectPunct('(');
+      const values = [];
+      while (true) {
+        values.push(consumeOperand(field, `value in '${field} IN' list`));
+        if (isPunct(',')) { consume(); continue; }
+        break;
+      }
+      expectPunct(')');
+      return { type: 'in', field, values };
+    }
+    if (isKeyword('LIKE')) {
+      consume();
+      return { type: 'like', field, pattern: isParam() ? consumeParam() : consumeValue(`pattern after '${field} LIKE'`) };
+    }
+    if (isKeyword('BETWEEN')) {
+      consume();
+      const low = consumeOperand(field, `lower bound after '${field} BETWEEN'`);
+      expect('AND');
+      const high = consumeOperand(field, `upper bound after '${field} BETWEEN ... AND'`);
+      return { type: 'between', field, low, high };
+    }
+    if (isKeyword('MATCHES')) {
+      consume();
+      if (isParam()) return { type: 'matches', field, pattern: consumeParam(), flags: '' };
+      const tok = consume();
+      let pattern, flags = '';
+      if (tok && tok.type === 'regex') { pattern = tok.value; flags = tok.flags; }
+      else if (tok && tok.type === 'string') pattern = tok.value;
+      else throw new Error(`Expected /regex/ or string after '${field} MATCHES', got '${describe(tok)}'`);
+      try {
+        new RegExp(pattern, flags);
+      } catch (err) {
+        throw new Error(`Invalid regular expression for '${field} MATCHES': ${err.message}`);
+      }
+      return { type: 'matches', field, pattern, flags };
+    }
+    const opTok = consume();
+    let op;
+    if (opTok && opTok.type === 'op') op = opTok.value === '<>' ? '!=' : opTok.value;
+    else if (opTok && opTok.type === 'word' && opTok.value.toUpperCase() === 'CONTAINS') op = 'CONTAINS';
+    else throw new Error(`Expected operator after '${field}', got '${describe(opTok)}'`);
+    if (isFieldReference(peek())) return { type: 'compare', field, op, ref: consume().value };
+    const value = consumeOperand(field, `value after '${field} ${op}'`);
+    return { type: 'compare', field, op, value };
+  }
+  function parseWhere() {
+    if (!isKeyword('WHERE')) return undefined;
+    consume();
+    return parseOr();
+  }
+  // Position relative to an existing task for INSERT/MOVE: UNDER 'id', BEFORE 'id', AFTER 'id' or TO ROOT
+  function parsePosition() {
+    if (isKeyword('TO')) {
+      consume();
+      expect('ROOT');
+      return { type: 'root' };
+    }
+    const placement = ['UNDER', 'BEFORE', 'AFTER'].find(w => isKeyword(w));
+    if (!placement) return undefined;
+    consume();
+    return { type: placement.toLowerCase(), id: isParam() ? consumeParam() : consumeValue(`task id after ${placement}`) };
+  }
+  // SET values: a single literal is kept raw ({ key, value }); anything else is an expression ({ key, expr })
+  function isArithmeticOp(offset = 0) {
+    const tok = tokens[i + offset];
+    return !!tok && tok.type === 'word' && (tok.value === '+' || tok.value === '-');
+  }
+  function isFunctionCall() {
+    return peek()?.type === 'word' && tokens[i + 1]?.type === 'punct' && tokens[i + 1].value === '(';
+  }
+  function parseValueExpression(key) {
+    let left = parseValueTerm(key);
+    while (isArithmeticOp()) {
+      const op = consume().value;
+      left = { type: 'binary', op, left, right: parseValueTerm(key) };
+    }
+    return left;
+  }
+  function parseValueTerm(key) {
+    if (isParam()) return consumeParam();
+    if (isFunctionCall()) {
+      const fn = consume().value.toUpperCase();
+      if (!SCALAR_FUNCTIONS.includes(fn)) throw new Error(`Unknown function ${fn}() in value for '${key}'`);
+      expectPunct('(');
+      const args = [];
+      while (!isPunct(')')) {
+        args.push(parseValueExpression(key));
+        if (!isPunct(',')) break;
+        consume();
+      }
+      expectPunct(')');
+      const arity = FUNCTION_ARITY[fn];
+      if (arity !== null && args.length !== arity) {
+        throw new Error(`${fn}() takes ${arity === 0 ? 'no arguments' : `${arity} argument${arity === 1 ? '' : 's'}`}, got ${args.length}`);
+      }
+      return { type: 'call', fn, args };
+    }
+    const tok = consume();
+    if (!tok || (tok.type !== 'word' && tok.type !== 'string')) {
+      throw new Error(`Expected value for '${key}', got '${describe(tok)}'`);
+    }
+    if (tok.type === 'string') return { type: 'literal', value: processEscapeSequences(tok.value) };
+    const duration = parseDuration(tok.value);
+    if (duration !== null) return { type: 'duration', days: duration / DAY_MS };
+    const value = parseLiteral(tok.value);
+    return typeof value === 'string' ? { type: 'field', name: tok.value } : { type: 'literal', value };
+  }
+  // RETURNING * or a comma-separated field list, after UPDATE, DELETE and INSERT
+  function parseReturning(result) {
+    if (!isKeyword('RETURNING')) return;
+    consume();
+    if (isKeyword('*')) {
+      consume();
+      result.returning = ['*'];
+      return;
+    }
+    result.returning = [consumeValue('field name')];
+    while (isPunct(',')) {
+      consume();
+      result.returning.push(consumeValue('field name'));
+    }
+  }
+  function parseAssignments(stopWords) {
+    const set = [];
+    while (peek() && !stopWords.some(w => isKeyword(w))) {
+      const key = consumeIdentifier();
+      const eq = consume();
+      if (!eq || eq.value !== '=') throw new Error('Expected = in SET');
+      if (!isParam() && !isFunctionCall() && !isArithmeticOp(1)) {
+        set.push({ key, value: consumeValue(`value for '${key}'`) });
+      } else {
+        set.push({ key, expr: parseValueExpression(key) });
+      }
+      if (isPunct(',')) consume();
+    }
+    return set;
+  }
+
+  const result = {};
+
+  if (!peek()) throw new Error('Empty query');
+  // EXPLAIN SELECT ... describes the execution plan instead of running the query
+  const explain = isKeyword('EXPLAIN');
+  if (explain) {
+    consume();
+    if (!isKeyword('SELECT')) throw new Error('EXPLAIN supports only SELECT queries');
+  }
+  const command = consume().value.toUpperCase();
+  result.command = command;
+  if (explain) result.explain = true;
+
+  if (command === 'SELECT') {
+    result.fields = [];
+    if (isKeyword('*')) {
+      result.fields = ['*'];
+      consume();
+    } else {
+      allowAggregates = true;
+      while (peek() && !isKeyword('FROM')) {
+        result.fields.push(isAggregateCall() ? parseAggregate(false) : consumeValue('field name'));
+        if (isPunct(',')) consume();
+      }
+      allowAggregates = false;
+    }
+    expect('FROM');
+    result.files = parseFileList();
+    if (result.files.length === 1) {
+      // Optional alias and JOINs; either one switches the query to alias-qualified field names
+      const alias = parseAlias();
+      const joins = [];
+      if (alias || ['JOIN', 'LEFT', 'INNER'].some(w => isKeyword(w))) {
+        result.alias = registerAlias(alias || defaultAlias(result.files[0]));
+      }
+      while (['JOIN', 'LEFT', 'INNER'].some(w => isKeyword(w))) {
+        let type = 'inner';
+        if (isKeyword('LEFT')) {
+          consume();
+          type = 'left';
+          if (isKeyword('OUTER')) consume();
+        } else if (isKeyword('INNER')) {
+          consume();
+        }
+        expect('JOIN');
+        const file = consumeValue('file name');
+        const joinAlias = registerAlias(parseAlias() || defaultAlias(file));
+        expect('ON');
+        joins.push({ type, file, alias: joinAlias, on: parseOr() });
+      }
+      if (joins.length) result.joins = joins;
+    }
+    result.where = parseWhere();
+    if (isKeyword('GROUP')) {
+      expect('GROUP');
+      expect('BY');
+      result.groupBy = [];
+      while (peek() && !['HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'INTO'].some(w => isKeyword(w))) {
+        result.groupBy.push(consumeIdentifier());
+        if (isPunct(',')) consume();
+      }
+      if (result.groupBy.length === 0) throw new Error('GROUP BY requires at least one field');
+    }
+    allowAggregates = true;
+    if (isKeyword('HAVING')) {
+      consume();
+      allowHierarchy = false;
+      result.having = parseOr();
+      allowHierarchy = true;
+    }
+    if (isKeyword('ORDER')) {
+      expect('ORDER');
+      expect('BY');
+      result.orderBy = [];
+      while (peek() && !isKeyword('LIMIT') && !isKeyword('OFFSET') && !isKeyword('INTO')) {
+        result.orderBy.push(parseSortSpec());
+        if (isPunct(',')) consume();
+      }
+    }
+    if (isKeyword('LIMIT')) {
+      expect('LIMIT');
+      const value = peek()?.value;
+      result.limit = parseInt(value);
+      consume();
+      if (isNaN(result.limit) || result.limit < 0 || String(result.limit) !== String(value)) {
+        throw new Error('LIMIT must be a non-negative integer');
+      }
+    }
+    if (isKeyword('OFFSET')) {
+      expect('OFFSET');
+      const value = peek()?.value;
+      result.offset = parseInt(value);
+      consume();
+      if (isNaN(result.offset) || result.offset < 0 || String(result.offset) !== String(value)) {
+        throw new Error('OFFSET must be a non-negative integer');
+      }
+    }
+    allowAggregates = false;
+    if (isKeyword('INTO')) {
+      expect('INTO');
+      result.into = consumeValue('file name');
+    }
+    if (aggregates.length) result.aggregates = aggregates;
+    if (isAggregateQuery(result)) {
+      if (result.fields[0] === '*') throw new Error('SELECT * cannot be combined with GROUP BY or aggregate functions');
+      for (const field of result.fields) {
+        if (!aggregates.some(a => a.label === field) && !(result.groupBy || []).includes(field)) {
+          throw new Error(`Field '${field}' must appear in GROUP BY or be used in an aggregate function`);
+        }
+      }
+      // HAVING filters groups, so it can only name their keys and aggregates
+      for (const field of collectExpressionFields(result.having)) {
+        if (!aggregates.some(a => a.label === field) && !(result.groupBy || []).includes(field)) {
+          throw new Error(`HAVING field '${field}' is neither a GROUP BY key nor an aggregate (such as COUNT(*))`);
+        }
+      }
+      if (result.into) throw new Error('INTO cannot be used with GROUP BY or aggregate functions');
+    } else if (result.having) {
+      throw new Error('HAVING requires GROUP BY or an aggregate function');
+    }
+    if (result.alias) {
+      // Every field of a JOIN/aliased query names its table: t.title, e.*
+      if (result.into) throw new Error('INTO cannot be used with JOIN or table aliases');
+      const labels = aggregates.map(a => a.label);
+      for (const field of result.fields) {
+        if (field !== '*' && !labels.includes(field)) assertQualified(field);
+      }
+      for (const aggregate of aggregates) {
+        if (aggregate.field !== '*') assertQualified(aggregate.field);
+      }
+      for (const expr of [result.where, result.having, ...(result.joins || []).map(j => j.on)]) {
+        for (const field of collectExpressionFields(expr)) {
+          if (!labels.includes(field)) assertQualified(field);
+        }
+      }
+      for (const key of result.groupBy || []) assertQualified(key);
+      for (const { key } of result.orderBy || []) {
+        if (!labels.includes(key)) assertQualified(key);
+      }
+    }
+  } else if (command === 'UPDATE') {
+    result.files = parseFileList();
+    expect('SET');
+    result.set = parseAssignments(['WHERE', 'RETURNING']);
+    result.where = parseWhere();
+    parseReturning(result);
+  } else if (command === 'DELETE') {
+    expect('FROM');
+    result.files = parseFileList();
+    result.where = parseWhere();
+    parseReturning(result);
+  } else if (command === 'INSERT') {
+    expect('INTO');
+    result.files = [consumeValue('file name')];
+    if (isGlobPattern(result.files[0])) throw new Error('INSERT requires a single file, not a glob pattern');
+    const position = parsePosition();
+    if (position) result.position = position;
+    expect('SET');
+    result.set = parseAssignments(['RETURNING']);
+    parseReturning(result);
+  } else if (command === 'MOVE') {
+    expect('FROM');
+    result.files = parseFileList();
+    result.where = parseWhere();
+    result.position = parsePosition();
+    if (!result.position) throw new Error(`Expected UNDER, BEFORE, AFTER or TO ROOT, got '${describe(peek())}'`);
+    if (isKeyword('INTO')) {
+      consume();
+      result.into = consumeValue('file name');
+      if (isGlobPattern(result.into)) throw new Error('MOVE INTO requires a single file, not a glob pattern');
+    }
+  } else {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  if (peek()) throw new Error(`Unexpected '${peek().value}' in ${command} query`);
+
+  return result;
+}
+
+// Transaction control statements of a script (with an optional TRANSACTION/WORK keyword)
+export const TRANSACTION_COMMANDS = ['BEGIN', 'COMMIT', 'ROLLBACK'];
+
+// Split a script into statements at `;` outside strings and /regex/ literals, dropping `--` line
+// comments. Returns [{ text, line }] with the line each statement starts on.
+export function splitStatements(script) {
+  const statements = [];
+  let text = '';
+  let line = 1;
+  let startLine = null;
+  let word = '';
+  let lastWord = '';
+  let i = 0;
+  const push = () => {
+    if (text.trim()) statements.push({ text: text.trim(), line: startLine });
+    text = '';
+    startLine = null;
+  };
+  while (i < script.length) {
+    const ch = script[i];
+    if (ch === '-' && script[i + 1] === '-') {
+      while (i < script.length && script[i] !== '\n') i++;
+      continue;
+    }
+    if (startLine === null && !/\s/.test(ch)) startLine = line;
+    if (ch === '"' || ch === "'" || (ch === '/' && !word && lastWord.toUpperCase() === 'MATCHES')) {
+      // Copy the literal verbatim; the tokenizer reports unterminated ones
+      const close = ch;
+      text += script[i++];
+      while (i < script.length) {
+        if (script[i] === '\\' && i + 1 < script.length) {
+          text += script[i] + script[i + 1];
+          i += 2;
+          continue;
+        }
+        if (script[i] === '\n') line++;
+        text += script[i];
+        if (script[i++] === close) break;
+      }
+      lastWord = '';
+      continue;
+    }
+    if (ch === ';') {
+      push();
+      word = '';
+      lastWord = '';
+      i++;
+      continue;
+    }
+    if (/[\s,()=<>!]/.test(ch)) {
+      if (word) lastWord = word;
+      word = '';
+    } else {
+      word += ch;
+    }
+    if (ch === '\n') line++;
+    text += ch;
+    i++;
+  }
+  push();
+  return statements;
+}
+
+// Parse every statement of a script: transaction control becomes { command: 'BEGIN' | 'COMMIT' |
+// 'ROLLBACK' }, anything else goes through parseQuery. Errors name the failing statement's line.
+export function parseScript(script) {
+  return splitStatements(script).map(({ text, line }) => {
+    const [keyword, ...rest] = text.split(/\s+/);
+    const command = keyword.toUpperCase();
+    if (TRANSACTION_COMMANDS.includes(command)) {
+      if (rest.length > 1 || (rest.length && !['TRANSACTION', 'WORK'].includes(rest[0].toUpperCase()))) {
+        throw new Error(`Line ${line}: Unexpected '${rest.join(' ')}' after ${command}`);
+      }
+      return { text, line, query: { command } };
+    }
+    try {
+      return { text, line, query: parseQuery(text) };
+    } catch (err) {
+      throw new Error(`Line ${line}: ${err.message}`);
+    }
+  });
+}
+
+function isParamNode(value) {
+  return !!value && typeof value === 'object' && value.type === 'param';
+}
+
+// Replace the ?, :name and $NAME placeholders of a parsed query with values from params (keyed by
+// name, positional ones by "1", "2", ..., variables by "$NAME"). Values are used as they are, never
+// re-tokenized. Returns a new query object; a placeholder without a value is an error.
+export function bindParams(parsedQuery, params = {}) {
+  function valueOf(param) {
+    if (!Object.prototype.hasOwnProperty.call(params, param.name)) {
+      if (param.name.startsWith('$')) throw new Error(`Environment variable ${param.name.slice(1)} is not set`);
+      throw new Error(`No value bound for placeholder ${/^\d+$/.test(param.name) ? `? #${param.name}` : `:${param.name}`}`);
+    }
+    return params[param.name];
+  }
+  // WHERE values: a placeholder, or a function call whose arguments may hold placeholders
+  const bind = value => (isParamNode(value) ? valueOf(value) : isCallNode(value) ? bindValueExpr(value) : value);
+  const bindText = value => (isParamNode(value) ? String(valueOf(value)) : value);
+
+  function bindWhere(expr) {
+    if (!expr) return expr;
+    switch (expr.type) {
+      case 'and':
+      case 'or':
+        return { ...expr, left: bindWhere(expr.left), right: bindWhere(expr.right) };
+      case 'not':
+        return { ...expr, operand: bindWhere(expr.operand) };
+      case 'descendant':
+      case 'ancestor':
+        return { ...expr, id: bindText(expr.id) };
+      case 'compare':
+        return { ...expr, value: bind(expr.value) };
+      case 'in':
+        return { ...expr, values: expr.values.map(bind) };
+      case 'between':
+        return { ...expr, low: bind(expr.low), high: bind(expr.high) };
+      case 'like':
+        return { ...expr, pattern: bindText(expr.pattern) };
+      case 'matches': {
+        if (!isParamNode(expr.pattern)) return expr;
+        const pattern = bindText(expr.pattern);
+        try {
+          new RegExp(pattern);
+        } catch (err) {
+          throw new Error(`Invalid regular expression for '${expr.field} MATCHES': ${err.message}`);
+        }
+        return { ...expr, pattern };
+      }
+      default:
+        return expr;
+    }
+  }
+  // In SET expressions a bound value is a literal, whatever it contains
+  function bindValueExpr(expr) {
+    if (isParamNode(expr)) return { type: 'literal', value: valueOf(expr) };
+    if (expr.type === 'binary') return { ...expr, left: bindValueExpr(expr.left), right: bindValueExpr(expr.right) };
+    if (expr.type === 'call') return { ...expr, args: expr.args.map(bindValueExpr) };
+    return expr;
+  }
+
+  const bound = { ...parsedQuery };
+  if (bound.where) bound.where = bindWhere(bound.where);
+  if (bound.having) bound.having = bindWhere(bound.having);
+  if (bound.joins) bound.joins = bound.joins.map(join => ({ ...join, on: bindWhere(join.on) }));
+  if (bound.position?.id !== undefined) bound.position = { ...bound.position, id: bindText(bound.position.id) };
+  if (bound.set) bound.set = bound.set.map(a => (a.expr ? { ...a, expr: bindValueExpr(a.expr) } : a));
+  return bound;
+}
+
+// Replace the task ids of DESCENDANT OF / ANCESTOR OF with resolve(id), e.g. a prefix lookup;
+// resolve throws for unknown or ambiguous ids
+export function resolveHierarchyIds(expr, resolve) {
+  if (!expr) return expr;
+  switch (expr.type) {
+    case 'and':
+    case 'or':
+      return { ...expr, left: resolveHierarchyIds(expr.left, resolve), right: resolveHierarchyIds(expr.right, resolve) };
+    case 'not':
+      return { ...expr, operand: resolveHierarchyIds(expr.operand, resolve) };
+    case 'descendant':
+    case 'ancestor':
+      try {
+        return { ...expr, id: resolve(expr.id) };
+      } catch (err) {
+        throw new Error(`${expr.type.toUpperCase()} OF '${expr.id}': ${err.message}`);
+      }
+    default:
+      return expr;
+  }
+}
+
+// List the field names (and field references) an expression AST reads
+export function collectExpressionFields(expr) {
+  if (!expr) return [];
+  switch (expr.type) {
+    case 'and':
+    case 'or':
+      return [...collectExpressionFields(expr.left), ...collectExpressionFields(expr.right)];
+    case 'not':
+      return collectExpressionFields(expr.operand);
+    case 'descendant':
+    case 'ancestor':
+    case 'hasChildren':
+      return [];
+    default:
+      return expr.ref !== undefined ? [expr.field, expr.ref] : [expr.field];
+  }
+}
+
+// Render a SET/WHERE value expression (literal, field, duration, call, arithmetic) as query text
+function formatExpression(expr) {
+  switch (expr.type) {
+    case 'literal':
+      return formatValue(expr.value);
+    case 'field':
+      return expr.name;
+    case 'duration':
+      return formatDuration(expr.days);
+    case 'binary':
+      return `${formatExpression(expr.left)} ${expr.op} ${formatExpression(expr.right)}`;
+    case 'call':
+      return `${expr.fn}(${expr.args.map(formatExpression).join(', ')})`;
+    default:
+      return formatValue(expr);
+  }
+}
+
+function formatValue(value) {
+  if (isCallNode(value)) return formatExpression(value);
+  if (isParamNode(value)) return /^\d+$/.test(value.name) ? '?' : value.name.startsWith('$') ? value.name : `:${value.name}`;
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+  return String(value);
+}
+
+// Render a WHERE/HAVING/ON expression AST back as query text (for EXPLAIN)
+export function formatCondition(expr) {
+  const group = operand => (['and', 'or'].includes(operand.type) && operand.type !== expr.type ? `(${formatCondition(operand)})` : formatCondition(operand));
+  switch (expr.type) {
+    case 'and':
+    case 'or':
+      return `${group(expr.left)} ${expr.type.toUpperCase()} ${group(expr.right)}`;
+    case 'not':
+      return `NOT ${['and', 'or'].includes(expr.operand.type) ? `(${formatCondition(expr.operand)})` : formatCondition(expr.operand)}`;
+    case 'descendant':
+      return `DESCENDANT OF ${formatValue(expr.id)}`;
+    case 'ancestor':
+      return `ANCESTOR OF ${formatValue(expr.id)}`;
+    case 'hasChildren':
+      return 'HAS CHILDREN';
+    case 'null':
+      return `${expr.field} IS ${expr.negated ? 'NOT ' : ''}NULL`;
+    case 'compare':
+      return `${expr.field} ${expr.op} ${expr.ref !== undefined ? expr.ref : formatValue(expr.value)}`;
+    case 'in':
+      return `${expr.field} IN (${expr.values.map(formatValue).join(', ')})`;
+    case 'like':
+      return `${expr.field} LIKE ${formatValue(expr.pattern)}`;
+    case 'between':
+      return `${expr.field} BETWEEN ${formatValue(expr.low)} AND ${formatValue(expr.high)}`;
+    case 'matches':
+      return `${expr.field} MATCHES ${isParamNode(expr.pattern) ? formatValue(expr.pattern) : `/${expr.pattern}/${expr.flags || ''}`}`;
+    default:
+      throw new Error(`Unknown expression type: ${expr.type}`);
+  }
+}
+
+// Render an ORDER BY key back as query text (for EXPLAIN)
+export function formatSortSpec(spec) {
+  let text = spec.values ? `FIELD(${spec.key}, ${spec.values.map(formatValue).join(', ')})` : spec.key;
+  if (spec.collate) text += ` COLLATE ${spec.collate.toUpperCase()}`;
+  text += ` ${spec.dir.toUpperCase()}`;
+  if (spec.nulls) text += ` NULLS ${spec.nulls.toUpperCase()}`;
+  return text;
+}
+
+// Sort keys in ORDER BY syntax, as given to the legacy `select <file> orderby '<keys>'` command
+export function parseOrderBy(text) {
+  const parsed = parseQuery(`SELECT * FROM tasks.md ORDER BY ${text}`);
+  if (!parsed.orderBy?.length || parsed.limit !== undefined || parsed.offset !== undefined || parsed.into) {
+    throw new Error(`Invalid orderby '${text}': expected sort keys such as 'priority desc, due asc nulls last'`);
+  }
+  return parsed.orderBy;
+}
+
+// True when a parsed SELECT groups or aggregates rows instead of returning tasks
+export function isAggregateQuery(parsedQuery) {
+  return !!(parsedQuery.groupBy || parsedQuery.aggregates);
+}
+
+function isBooleanField(key) {
+  const name = key.slice(key.lastIndexOf('.') + 1);
+  return name === 'completed' || name === 'skipped';
+}
+
+// Look up a field on a flattened task row or a parsed node (falls back to node.data).
+// On parsed nodes parent.<field> reads the parent task's field.
+export function getFieldValue(task, key) {
+  let taskValue = task[key];
+  if (taskValue === undefined && task.data) taskValue = task.data[key];
+  if (taskValue === undefined && key.startsWith('parent.')) {
+    const parentNode = getParentNode(task);
+    if (parentNode) taskValue = getFieldValue(parentNode, key.slice('parent.'.length));
+  }
+  // Special handling for boolean fields (also when qualified, e.g. t.completed)
+  if (isBooleanField(key) && taskValue === undefined) {
+    taskValue = false;
+  }
+  return taskValue;
+}
+
+// Dates, durations and priorities compare by their type (see types.js), anything else as before
+function compare(taskValue, op, compareValue, field) {
+  const typed = op === 'CONTAINS' ? null : compareTyped(taskValue, compareValue, field);
+  if (typed !== null) {
+    switch (op) {
+      case '=': return typed === 0;
+      case '!=': return typed !== 0;
+      case '>': return typed > 0;
+      case '<': return typed < 0;
+      case '>=': return typed >= 0;
+      case '<=': return typed <= 0;
+    }
+  }
+  switch (op) {
+    case '=': return taskValue == compareValue;
+    case '!=': return taskValue != compareValue;
+    case '>': return taskValue > compareValue;
+    case '<': return taskValue < compareValue;
+    case '>=': return taskValue >= compareValue;
+    case '<=': return taskValue <= compareValue;
+    case 'CONTAINS':
+      if (Array.isArray(taskValue) || typeof taskValue === 'string') {
+        return taskValue.includes(compareValue);
+      }
+      return false;
+    default:
+      throw new Error(`Unsupported operator: ${op}`);
+  }
+}
+
+// Arrays (tags, stakeholders) match when any element satisfies the predicate; missing values never match
+function matchesAny(taskValue, predicate) {
+  if (Array.isArray(taskValue)) return taskValue.some(predicate);
+  if (taskValue === null || taskValue === undefined) return false;
+  return predicate(taskValue);
+}
+
+// Translate a SQL LIKE pattern (% = any run, _ = any char, \ escapes) into an anchored RegExp
+export function likeToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (ch === '%') {
+      source += '[\\s\\S]*';
+    } else if (ch === '_') {
+      source += '[\\s\\S]';
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function isCallNode(value) {
+  return !!value && typeof value === 'object' && value.type === 'call';
+}
+
+// A WHERE value: a literal, or a function call evaluated against the task
+function operandValue(task, value) {
+  return isCallNode(value) ? evaluateExpression(task, value) : value;
+}
+
+// Evaluate a WHERE expression AST against a task; a missing WHERE matches everything
+export function evaluateWhere(task, where) {
+  if (!where) return true;
+  switch (where.type) {
+    case 'and':
+      return evaluateWhere(task, where.left) && evaluateWhere(task, where.right);
+    case 'or':
+      return evaluateWhere(task, where.left) || evaluateWhere(task, where.right);
+    case 'not':
+      return !evaluateWhere(task, where.operand);
+    case 'descendant':
+      return isDescendantOf(task, where.id);
+    case 'ancestor':
+      return isAncestorOf(task, where.id);
+    case 'hasChildren':
+      return hasChildren(task);
+    case 'null': {
+      const key = where.field;
+      const taskValue = getFieldValue(task, key);
+      // IS NULL: true if value is null, undefined, or false for boolean fields
+      const isNull = taskValue === null || taskValue === undefined ||
+        (isBooleanField(key) && taskValue === false);
+      return where.negated ? !isNull : isNull;
+    }
+    case 'compare': {
+      const value = where.ref !== undefined ? getFieldValue(task, where.ref) : operandValue(task, where.value);
+      return compare(getFieldValue(task, where.field), where.op, value, where.field);
+    }
+    case 'in': {
+      const values = where.values.map(item => operandValue(task, item));
+      return matchesAny(getFieldValue(task, where.field), v => values.some(item => compare(v, '=', item, where.field)));
+    }
+    case 'like': {
+      const re = likeToRegExp(where.pattern);
+      return matchesAny(getFieldValue(task, where.field), v => re.test(String(v)));
+    }
+    case 'between': {
+      const low = operandValue(task, where.low);
+      const high = operandValue(task, where.high);
+      return matchesAny(getFieldValue(task, where.field), v => compare(v, '>=', low, where.field) && compare(v, '<=', high, where.field));
+    }
+    case 'matches': {
+      const re = new RegExp(where.pattern, where.flags);
+      return matchesAny(getFieldValue(task, where.field), v => {
+        re.lastIndex = 0;
+        return re.test(String(v));
+      });
+    }
+    default:
+      throw new Error(`Unknown expression type: ${where.type}`);
+  }
+}
+
+// Duration in the largest unit that keeps it whole: 7d, 3h, 90m
+function formatDuration(days) {
+  const minutes = Math.round(days * 24 * 60);
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+function describeValue(value) {
+  if (value && value.days !== undefined) return `duration ${formatDuration(value.days)}`;
+  return JSON.stringify(value);
+}
+
+// Shift a date or datetime by a duration ({ days } or text such as 3h); null stays null
+function shiftByDuration(what, date, duration, sign = 1) {
+  if (date === null || date === undefined || duration === null || duration === undefined) return null;
+  const ms = duration.days !== undefined ? duration.days * DAY_MS : parseDuration(String(duration));
+  if (ms === null) throw new Error(`${what}: expected a duration such as 7d or 3h, got ${describeValue(duration)}`);
+  const shifted = typeof date === 'string' ? shiftDateTime(date, sign * ms) : null;
+  if (shifted === null) throw new Error(`${what}: expected a date (YYYY-MM-DD or YYYY-MM-DDTHH:MM), got ${describeValue(date)}`);
+  return shifted;
+}
+
+// `+`/`-` on arrays add/remove elements, on numbers do arithmetic and on dates shift by a duration.
+// NULL operands (other than arrays) give NULL.
+function applyArithmetic(op, left, right) {
+  if (Array.isArray(left)) {
+    const items = Array.isArray(right) ? right : (right === null || right === undefined ? [] : [String(right)]);
+    if (op === '-') return left.filter(item => !items.includes(item));
+    return [...left, ...new Set(items.filter(item => !left.includes(item)))];
+  }
+  if (left === null || left === undefined || right === null || right === undefined) return null;
+  if (right.days !== undefined) {
+    return shiftByDuration(`Cannot apply '${op}' to ${describeValue(left)} and ${describeValue(right)}`, left, right, op === '+' ? 1 : -1);
+  }
+  const a = typeof left === 'string' && left.trim() !== '' && !isNaN(left) ? Number(left) : left;
+  const b = typeof right === 'string' && right.trim() !== '' && !isNaN(right) ? Number(right) : right;
+  if (typeof a === 'number' && typeof b === 'number') return op === '+' ? a + b : a - b;
+  throw new Error(`Cannot apply '${op}' to ${describeValue(left)} and ${describeValue(right)}`);
+}
+
+// Evaluate a SET value expression against the task being updated
+export function evaluateExpression(task, expr) {
+  switch (expr.type) {
+    case 'literal':
+      return expr.value;
+    case 'duration':
+      return { days: expr.days };
+    case 'field': {
+      const value = getFieldValue(task, expr.name);
+      if (value === undefined || value === null) return ARRAY_FIELDS.includes(expr.name) ? [] : null;
+      return Array.isArray(value) ? [...value] : value;
+    }
+    case 'binary':
+      return applyArithmetic(expr.op, evaluateExpression(task, expr.left), evaluateExpression(task, expr.right));
+    case 'call': {
+      const args = expr.args.map(arg => evaluateExpression(task, arg));
+      if (expr.fn === 'TODAY') return today();
+      if (expr.fn === 'NOW') return now();
+      if (expr.fn === 'DATE_ADD') return shiftByDuration('DATE_ADD()', args[0], args[1]);
+      // CONCAT skips NULL arguments and joins array values with commas
+      return args.map(value => {
+        if (value === null || value === undefined) return '';
+        if (value.days !== undefined) throw new Error(`Cannot use ${describeValue(value)} in CONCAT()`);
+        return Array.isArray(value) ? value.join(',') : String(value);
+      }).join('');
+    }
+    default:
+      throw new Error(`Unknown expression type: ${expr.type}`);
+  }
+}
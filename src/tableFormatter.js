@@ -1,23 +1,39 @@
 // tableFormatter.js
 // Utility to format task data as markdown tables with proper alignment
 
-export function formatAsTable(tasks) {
-  if (!tasks || tasks.length === 0) {
-    return 'No tasks found.';
-  }
+// Common task fields come first, in this order
+const COMMON_KEYS = ['id', 'parent', 'file', 'title', 'priority', 'stakeholders', 'completed', 'skipped', 'due', 'weight'];
 
-  // Collect all unique keys from all tasks to determine columns
+// Columns of a result table: options.columns when given (e.g. the SELECT list of an aggregate query),
+// else every key of the rows, common task fields first and the rest alphabetically
+export function tableColumns(tasks, options = {}) {
+  if (options.columns) return [...options.columns];
   const allKeys = new Set();
   tasks.forEach(task => {
     Object.keys(task).forEach(key => allKeys.add(key));
   });
 
-  // Sort keys to have a consistent column order, with common ones first
-  const commonKeys = ['id', 'parent', 'title', 'priority', 'stakeholders', 'completed', 'skipped', 'due', 'weight'];
-  const sortedKeys = [
-    ...commonKeys.filter(key => allKeys.has(key)),
-    ...Array.from(allKeys).filter(key => !commonKeys.includes(key)).sort()
-  ];
+  // Alias-prefixed columns from JOIN queries (t.title, e.id) stay grouped per table
+  const groups = new Map();
+  allKeys.forEach(key => {
+    const dot = key.indexOf('.');
+    const prefix = dot > 0 ? key.slice(0, dot + 1) : '';
+    if (!groups.has(prefix)) groups.set(prefix, new Set());
+    groups.get(prefix).add(key.slice(prefix.length));
+  });
+  return Array.from(groups.entries()).flatMap(([prefix, names]) => [
+    ...COMMON_KEYS.filter(key => names.has(key)),
+    ...Array.from(names).filter(key => !COMMON_KEYS.includes(key)).sort()
+  ].map(key => prefix + key));
+}
+
+// options.columns fixes the column order (see tableColumns)
+export function formatAsTable(tasks, options = {}) {
+  if (!tasks || tasks.length === 0) {
+    return 'No tasks found.';
+  }
+
+  const sortedKeys = tableColumns(tasks, options);
 
   // Process all data first to calculate column widths
   const processedData = tasks.map(task => {
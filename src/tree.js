@@ -0,0 +1,52 @@
+// tree.js
+// Structural edits on the parsed task tree: locating a task's slot, detaching subtrees and placing
+// nodes relative to another task.
+import { resolveIdByPrefix } from './utils.js';
+
+// Find the sibling array holding the task with the given id (or the given node), or null when absent
+export function locateTask(rootTasks, idOrNode) {
+  const matches = typeof idOrNode === 'object'
+    ? node => node === idOrNode
+    : node => String(node.id) === String(idOrNode);
+  function rec(siblings) {
+    for (let index = 0; index < siblings.length; index++) {
+      const node = siblings[index];
+      if (matches(node)) return { node, siblings, index };
+      const found = rec(node.children || []);
+      if (found) return found;
+    }
+    return null;
+  }
+  return rec(rootTasks);
+}
+
+// Remove a node (with its whole subtree) from the tree; returns false when it is not in this tree
+export function detachTask(rootTasks, node) {
+  const found = locateTask(rootTasks, node);
+  if (!found) return false;
+  found.siblings.splice(found.index, 1);
+  return true;
+}
+
+// Insert node into the tree, see placeTasks
+export function placeTask(rootTasks, node, position) {
+  placeTasks(rootTasks, [node], position);
+  return node;
+}
+
+// Insert nodes, in order: at the end of the root list (no position or TO ROOT), or UNDER (as last
+// children), BEFORE or AFTER the task whose id (or unique id prefix) is position.id
+export function placeTasks(rootTasks, nodes, position) {
+  if (!position || position.type === 'root') {
+    rootTasks.push(...nodes);
+    return nodes;
+  }
+  const target = locateTask(rootTasks, resolveIdByPrefix(rootTasks, position.id));
+  if (position.type === 'under') {
+    if (!target.node.children) target.node.children = [];
+    target.node.children.push(...nodes);
+  } else {
+    target.siblings.splice(position.type === 'before' ? target.index : target.index + 1, 0, ...nodes);
+  }
+  return nodes;
+}
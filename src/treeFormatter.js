@@ -0,0 +1,71 @@
+// treeFormatter.js
+// Tree output for SELECT: tasks drawn with box-drawing lines following their nesting, each with its
+// prefix macros ([x], priority, @stakeholders, #tags), title and chosen columns. Ancestors that did
+// not match are kept for context and dimmed (in parentheses when color is off).
+
+// Fields shown as prefix macros and title rather than as columns
+const TASK_KEYS = ['completed', 'skipped', 'priority', 'stakeholders', 'stakeholder', 'tags', 'title'];
+
+// Row metadata the tree already shows through its layout (listed only when chosen explicitly)
+const LAYOUT_KEYS = ['id', 'parent', 'file'];
+
+const DIM = '\x1b[2m';
+const UNDIM = '\x1b[22m';
+
+// Prefix tokens in the order the serializer writes them
+function macros(data) {
+  const tokens = [];
+  if (data.completed === true) tokens.push('[x]');
+  if (data.completed === false) tokens.push('[_]');
+  if (data.skipped) tokens.push('[-]');
+  if (data.priority) tokens.push(data.priority);
+  if (Array.isArray(data.stakeholders)) tokens.push(...data.stakeholders.map(s => `@${s}`));
+  if (data.stakeholder) tokens.push(`@${data.stakeholder}`);
+  if (Array.isArray(data.tags)) tokens.push(...data.tags.map(t => `#${t}`));
+  return tokens;
+}
+
+function quoteTitle(title) {
+  const q = title.includes('"') ? '`' : '"';
+  return `${q}${title}${q}`;
+}
+
+// A column value on one line: arrays comma-separated, multi-line text cut at its first line,
+// values with spaces quoted as in task syntax
+function columnText(value) {
+  let text = Array.isArray(value) ? value.join(',') : String(value);
+  if (text.includes('\n')) text = `${text.split('\n')[0].trimEnd()}…`;
+  return /\s/.test(text) ? `"${text.replace(/"/g, '\\"')}"` : text;
+}
+
+function entryText(entry, columns) {
+  const { data = {} } = entry.node;
+  const parts = [...macros(data), quoteTitle(String(data.title ?? entry.node.id))];
+  if (!entry.row) return parts.join(' ');
+  const keys = columns ?? Object.keys(entry.row).filter(key => !LAYOUT_KEYS.includes(key));
+  for (const key of keys) {
+    const value = entry.row[key];
+    if (TASK_KEYS.includes(key) || value === null || value === undefined) continue;
+    parts.push(`${key}: ${columnText(value)}`);
+  }
+  return parts.join(' ');
+}
+
+// entries: a forest of { node, row, children }, where row is the task's selected fields, or null
+// for an ancestor shown only for context. options.columns picks the listed fields (default: every
+// field of the row) and options.color dims context lines with ANSI escapes.
+export function formatAsTree(entries, options = {}) {
+  if (!entries || entries.length === 0) return 'No tasks found.';
+  const lines = [];
+  function walk(items, indent, top) {
+    items.forEach((entry, idx) => {
+      const last = idx === items.length - 1;
+      let text = entryText(entry, options.columns);
+      if (!entry.row) text = options.color ? `${DIM}${text}${UNDIM}` : `(${text})`;
+      lines.push(`${indent}${top ? '' : last ? '└── ' : '├── '}${text}`);
+      walk(entry.children, top ? '' : indent + (last ? '    ' : '│   '), false);
+    });
+  }
+  walk(entries, '', true);
+  return lines.join('\n');
+}
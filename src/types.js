@@ -0,0 +1,115 @@
+// types.js
+// Typed values for comparisons and sorting. Task fields are stored as text, so types are recognised
+// by shape: ISO dates (2025-10-01, also 2025-9-5) and datetimes (2025-10-01T14:30[:00][Z|+02:00]),
+// durations (90m, 3h, 5d, 2w, 1d4h) and, in priority fields, the priorities A-D.
+
+const DATE_RE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const DATETIME_RE = /^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+const DURATION_RE = /^-?(?:\d+(?:\.\d+)?[wdhm])+$/;
+const DURATION_PART_RE = /(\d+(?:\.\d+)?)([wdhm])/g;
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_MS = { w: 7 * DAY_MS, d: DAY_MS, h: 60 * 60 * 1000, m: 60 * 1000 };
+
+// A is the highest priority: priority > 'B' means A
+export const PRIORITIES = ['A', 'B', 'C', 'D'];
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+function validDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+// Milliseconds since the epoch for a date (midnight UTC) or datetime (UTC unless it has an offset),
+// or null when the text is not one
+export function parseDateTime(text) {
+  if (typeof text !== 'string') return null;
+  let match = text.match(DATE_RE);
+  if (match) {
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    return validDate(year, month, day) ? Date.UTC(year, month - 1, day) : null;
+  }
+  match = text.match(DATETIME_RE);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second = 0] = match.slice(1, 7).map(n => Number(n ?? 0));
+  if (!validDate(year, month, day) || hour > 23 || minute > 59 || second > 59) return null;
+  let ms = Date.UTC(year, month - 1, day, hour, minute, second) + (match[7] ? Math.round(Number(match[7]) * 1000) : 0);
+  const zone = match[8];
+  if (zone && zone.toUpperCase() !== 'Z') {
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    ms -= sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60 * 1000;
+  }
+  return ms;
+}
+
+export function isDate(text) {
+  return typeof text === 'string' && DATE_RE.test(text) && parseDateTime(text) !== null;
+}
+
+// Milliseconds of a duration such as 3h, 5d or 1d4h (negative with a leading -), or null
+export function parseDuration(text) {
+  if (typeof text !== 'string' || !DURATION_RE.test(text)) return null;
+  let ms = 0;
+  for (const [, amount, unit] of text.matchAll(DURATION_PART_RE)) ms += Number(amount) * UNIT_MS[unit];
+  return text.startsWith('-') ? -ms : ms;
+}
+
+export function formatDate(ms) {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+export function formatDateTime(ms) {
+  return new Date(ms).toISOString().replace(/\.000Z$/, 'Z');
+}
+
+// Today's date in local time, as YYYY-MM-DD
+export function today() {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// The current time as an ISO datetime in UTC (seconds precision)
+export function now() {
+  return formatDateTime(Math.floor(Date.now() / 1000) * 1000);
+}
+
+// Shift a date or datetime by a number of milliseconds; whole days keep a date a date
+export function shiftDateTime(text, ms) {
+  const start = parseDateTime(text);
+  if (start === null) return null;
+  if (isDate(text) && ms % DAY_MS === 0) return formatDate(start + ms);
+  return formatDateTime(start + ms);
+}
+
+export function isPriorityField(field) {
+  return typeof field === 'string' && field.slice(field.lastIndexOf('.') + 1) === 'priority';
+}
+
+// { type, key } of a value whose type orders differently from its text, or null
+function typedKey(value, field) {
+  if (typeof value !== 'string') return null;
+  if (isPriorityField(field)) {
+    const rank = PRIORITIES.indexOf(value.toUpperCase());
+    if (rank !== -1) return { type: 'priority', key: PRIORITIES.length - rank };
+  }
+  const time = parseDateTime(value);
+  if (time !== null) return { type: 'time', key: time };
+  const duration = parseDuration(value);
+  if (duration !== null) return { type: 'duration', key: duration };
+  return null;
+}
+
+// Compare two values of the same type (dates/datetimes, durations, priorities of a priority field):
+// negative, zero or positive, or null when they are not both of one such type
+export function compareTyped(a, b, field) {
+  const ta = typedKey(a, field);
+  if (!ta) return null;
+  const tb = typedKey(b, field);
+  if (!tb || ta.type !== tb.type) return null;
+  return Math.sign(ta.key - tb.key);
+}
@@ -1,5 +1,8 @@
 // utils.js
 import crypto from 'crypto';
+import fs from 'fs';
+import { getParentNode } from './hierarchy.js';
+import { compareTyped } from './types.js';
 
 // Create deterministic hash from a canonical object of identity fields
 export function computeDeterministicId(identityObj, len = 8) {
@@ -34,10 +37,13 @@ export function collectTasks(rootTasks) {
   return out;
 }
 
-// Resolve shorthand ID to full id (unique prefix)
+// Resolve shorthand ID to full id (unique prefix; an exact id always wins)
 export function resolveIdByPrefix(rootTasks, short) {
   const all = collectTasks(rootTasks);
-  const matches = all.filter(t => t.id && t.id.startsWith(short));
+  // ids that look like numbers are parsed as numbers, so compare as strings
+  const exact = all.find(t => String(t.id) === short);
+  if (exact) return exact.id;
+  const matches = all.filter(t => t.id && String(t.id).startsWith(short));
   if (matches.length === 1) return matches[0].id;
   if (matches.length === 0) throw new Error(`No task id matching prefix '${short}'`);
   throw new Error(`Ambiguous id prefix '${short}' matches ${matches.length} tasks`);
@@ -50,32 +56,140 @@ export function getSortValue(task, key) {
   if (task.data?.hasOwnProperty(key)) return task.data[key];
   // fallback to top-level fields
   if (task.hasOwnProperty(key)) return task[key];
+  // parent.<field> on parsed nodes sorts by the parent task's field
+  if (key.startsWith('parent.')) {
+    const parentNode = getParentNode(task);
+    return parentNode ? getSortValue(parentNode, key.slice('parent.'.length)) : undefined;
+  }
   return undefined;
 }
 
-// Multi-key sort helper
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+// Split text into digit runs and the text between them, for natural ordering
+function naturalChunks(text) {
+  return text.toLowerCase().match(/\d+|\D+/g) || [];
+}
+
+// Compare two strings under an ORDER BY collation (binary, nocase or natural)
+export function compareText(a, b, collation = 'binary') {
+  if (collation === 'nocase') {
+    const la = a.toLowerCase();
+    const lb = b.toLowerCase();
+    return la < lb ? -1 : la > lb ? 1 : 0;
+  }
+  if (collation === 'natural') {
+    const ca = naturalChunks(a);
+    const cb = naturalChunks(b);
+    for (let i = 0; i < Math.min(ca.length, cb.length); i++) {
+      const numeric = /^\d/.test(ca[i]) && /^\d/.test(cb[i]);
+      const cmp = numeric ? Math.sign(Number(ca[i]) - Number(cb[i])) : ca[i] < cb[i] ? -1 : ca[i] > cb[i] ? 1 : 0;
+      if (cmp !== 0) return cmp;
+    }
+    return Math.sign(ca.length - cb.length);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Compare two tasks by sort keys [{key, dir, nulls, collate, values}]: negative when a sorts first,
+// 0 when tied. Missing values sort first ascending and last descending unless nulls says otherwise;
+// with values (FIELD()) a key orders by its position in the list, unlisted values after listed ones.
+export function compareByKeys(a, b, keySpecArray) {
+  for (const spec of keySpecArray) {
+    const k = spec.key;
+    const dir = spec.dir === 'desc' ? -1 : 1;
+    const va = getSortValue(a, k);
+    const vb = getSortValue(b, k);
+    if (isMissing(va) && isMissing(vb)) continue;
+    if (isMissing(va) || isMissing(vb)) {
+      const nullsFirst = spec.nulls ? spec.nulls === 'first' : dir === 1;
+      return (isMissing(va) ? -1 : 1) * (nullsFirst ? 1 : -1);
+    }
+    if (spec.values) {
+      const rank = v => {
+        const idx = spec.values.findIndex(item => item == v);
+        return idx === -1 ? spec.values.length : idx;
+      };
+      const cmp = rank(va) - rank(vb);
+      if (cmp !== 0) return Math.sign(cmp) * dir;
+      continue;
+    }
+    // dates, durations and priorities by their typed order, then numbers vs strings
+    const typed = compareTyped(va, vb, k);
+    if (typed !== null) {
+      if (typed !== 0) return typed * dir;
+    } else if (typeof va === 'number' && typeof vb === 'number') {
+      if (va < vb) return -1 * dir;
+      if (va > vb) return 1 * dir;
+    } else {
+      const cmp = compareText(String(va), String(vb), spec.collate);
+      if (cmp !== 0) return cmp * dir;
+    }
+  }
+  return 0;
+}
+
+// Multi-key sort helper (stable: ties keep their order)
 export function multiKeySort(tasks, keySpecArray) {
-  const cmp = (a, b) => {
-    for (const spec of keySpecArray) {
-      const k = spec.key;
-      const dir = spec.dir === 'desc' ? -1 : 1;
-      const va = getSortValue(a, k);
-      const vb = getSortValue(b, k);
-      if (va === undefined && vb === undefined) continue;
-      if (va === undefined) return -1 * dir;
-      if (vb === undefined) return 1 * dir;
-      // compare numbers vs strings
-      if (typeof va === 'number' && typeof vb === 'number') {
-        if (va < vb) return -1 * dir;
-        if (va > vb) return 1 * dir;
-      } else {
-        const sa = String(va);
-        const sb = String(vb);
-        if (sa < sb) return -1 * dir;
-        if (sa > sb) return 1 * dir;
+  tasks.sort((a, b) => compareByKeys(a, b, keySpecArray));
+}
+
+// True when a path contains glob wildcards (* ** ?)
+export function isGlobPattern(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+// Convert a glob pattern into an anchored RegExp: ** spans directories, * and ? stay within one segment
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') { source += '(?:.*/)?'; i++; }
+      else source += '.*';
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Expand a file path or glob pattern into the sorted list of matching files.
+// Plain paths are returned as-is when they exist; hidden and node_modules directories are not searched.
+export function expandGlob(pattern) {
+  if (!isGlobPattern(pattern)) return fs.existsSync(pattern) ? [pattern] : [];
+  const normalized = pattern.replace(/^\.\//, '');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(seg => isGlobPattern(seg));
+  const baseSegments = segments.slice(0, firstGlob);
+  const base = baseSegments.join('/') || (normalized.startsWith('/') ? '/' : '');
+  const maxDepth = normalized.includes('**') ? Infinity : segments.length - firstGlob;
+  const re = globToRegExp(normalized);
+  const out = [];
+
+  function walk(dir, depth) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir || '.', { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = dir ? (dir.endsWith('/') ? dir + entry.name : `${dir}/${entry.name}`) : entry.name;
+      if (entry.isDirectory()) {
+        if (depth < maxDepth && !entry.name.startsWith('.') && entry.name !== 'node_modules') walk(full, depth + 1);
+      } else if (re.test(full)) {
+        out.push(full);
       }
     }
-    return 0;
-  };
-  tasks.sort(cmp);
+  }
+  walk(base, 1);
+  return out.sort();
 }
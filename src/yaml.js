@@ -0,0 +1,317 @@
+// yaml.js
+// A strict, minimal YAML subset for .todorc files and `todo import --from yaml`, and the serializer
+// for -o yaml and `todo export`, which writes only this subset. parseYaml reads:
+//   - block mappings (`key: value`, plain or quoted keys) and block sequences (`- item`, `- key: value`)
+//   - one-line scalars: plain (null/~, true/false and numbers are typed, anything else is a string),
+//     'single' or "double" quoted (JSON escapes), and the empty collections [] and {}
+//   - | literal block scalars, with the - and + chomping indicators
+//   - comments, blank lines and a leading --- document marker
+// Anything else (anchors, aliases, tags, flow collections with items, > folded or multi-line plain
+// scalars, several documents) is an error naming the line, rather than being read differently.
+
+function yamlError(lineNo, message) {
+  return new Error(`YAML error at line ${lineNo}: ${message}`);
+}
+
+const QUOTED_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')/;
+
+// Constructs outside the subset, recognized by the first character of a value or key
+const UNSUPPORTED = [
+  [/^[&*]/, 'anchors and aliases are not supported'],
+  [/^!/, 'tags are not supported'],
+  [/^[[{]/, 'flow collections are not supported; write the list or mapping in block style'],
+  [/^>/, 'folded block scalars (>) are not supported; use a | block'],
+  [/^[?%@`]/, 'unsupported syntax; quote the value']
+];
+
+function isBlankLine(line) {
+  return /^\s*(#.*)?$/.test(line);
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function isSequenceItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+// Text without its trailing comment (a # at the start or after whitespace), trimmed
+function stripComment(text) {
+  const match = text.match(/(^|\s)#/);
+  return (match ? text.slice(0, match.index) : text).trim();
+}
+
+// Plain scalars: null, booleans and numbers are typed, anything else stays a string
+function plainScalar(text) {
+  if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) return Number(text);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+function unquote(text, lineNo) {
+  if (text[0] === "'") return text.slice(1, -1).replace(/''/g, "'");
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw yamlError(lineNo, `Invalid double-quoted string ${text}`);
+  }
+}
+
+function assertSupported(text, lineNo) {
+  const unsupported = UNSUPPORTED.find(([re]) => re.test(text));
+  if (unsupported) throw yamlError(lineNo, `${unsupported[1]} ('${text}')`);
+}
+
+// A scalar that fills the rest of its line (after `key:` or `- `)
+function parseScalar(text, lineNo) {
+  const quoted = text.match(QUOTED_RE);
+  if (quoted) {
+    if (stripComment(text.slice(quoted[0].length)) !== '') throw yamlError(lineNo, `Unexpected text after ${quoted[0]}`);
+    return unquote(quoted[0], lineNo);
+  }
+  if (/^["']/.test(text)) throw yamlError(lineNo, `Unterminated string ${text}`);
+  const plain = stripComment(text);
+  if (plain === '[]') return [];
+  if (plain === '{}') return {};
+  assertSupported(plain, lineNo);
+  if (/:(\s|$)/.test(plain)) throw yamlError(lineNo, `Plain values cannot contain ': '; quote '${plain}'`);
+  return plainScalar(plain);
+}
+
+// { key, rest } for a `key: rest` line content, or null when it is not a mapping entry
+function splitKey(content, lineNo) {
+  const quoted = content.match(QUOTED_RE);
+  if (quoted) {
+    const after = content.slice(quoted[0].length);
+    return /^:(\s|$)/.test(after) ? { key: unquote(quoted[0], lineNo), rest: after.slice(1).trim() } : null;
+  }
+  if (/^["']/.test(content)) throw yamlError(lineNo, `Unterminated string ${content}`);
+  const colon = stripComment(content).search(/:(\s|$)/);
+  if (colon === -1) return null;
+  const key = content.slice(0, colon).trim();
+  assertSupported(key, lineNo);
+  return { key, rest: content.slice(colon + 1).trim() };
+}
+
+export function parseYaml(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let pos = 0;
+
+  function skipBlank() {
+    while (pos < lines.length && isBlankLine(lines[pos])) pos++;
+  }
+
+  // The more-indented lines after a | header (pos is past the header line)
+  function parseBlockScalar(header, parentIndent, lineNo) {
+    const match = stripComment(header).match(/^\|([-+]?)$/);
+    if (!match) throw yamlError(lineNo, `Invalid block scalar header '${header}'`);
+    const chomp = match[1];
+    const body = [];
+    let blockIndent = null;
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.trim() === '') {
+        body.push('');
+        pos++;
+        continue;
+      }
+      const indent = indentOf(line);
+      if (indent <= parentIndent) break;
+      if (blockIndent === null) blockIndent = indent;
+      if (indent < blockIndent) break;
+      body.push(line.slice(blockIndent));
+      pos++;
+    }
+    // Trailing blank lines belong to the chomping indicator, not the content
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+    if (!body.length) return chomp === '+' ? '\n'.repeat(trailing) : '';
+    const content = body.join('\n');
+    if (chomp === '-') return content;
+    if (chomp === '+') return content + '\n'.repeat(trailing + 1);
+    return content + '\n';
+  }
+
+  // The value after `key:` or `- ` (pos is past its line): a nested block on the following lines
+  // when the line has nothing else, a | block scalar or a one-line scalar
+  function parseValue(rest, indent, lineNo, allowSequence) {
+    if (stripComment(rest) === '') {
+      skipBlank();
+      if (pos >= lines.length) return null;
+      const next = lines[pos];
+      const nextIndent = indentOf(next);
+      if (nextIndent > indent || (allowSequence && nextIndent === indent && isSequenceItem(next.slice(nextIndent)))) {
+        return parseBlock(nextIndent);
+      }
+      return null;
+    }
+    if (rest[0] === '|') return parseBlockScalar(rest, indent, lineNo);
+    return parseScalar(rest, lineNo);
+  }
+
+  // The mapping or sequence starting at the current line, whose entries sit at indent
+  function parseBlock(indent) {
+    if (/^ *\t/.test(lines[pos])) throw yamlError(pos + 1, 'Tabs are not allowed for indentation');
+    const content = lines[pos].slice(indent);
+    if (isSequenceItem(content)) return parseSequence(indent);
+    if (splitKey(content, pos + 1)) return parseMapping(indent);
+    throw yamlError(pos + 1, `Expected 'key: value' or '- item', got '${content.trim()}'`);
+  }
+
+  // The next entry line at indent, or null when the block ends; deeper lines are an error
+  function nextEntry(indent) {
+    skipBlank();
+    if (pos >= lines.length) return null;
+    const line = lines[pos];
+    if (/^ *\t/.test(line)) throw yamlError(pos + 1, 'Tabs are not allowed for indentation');
+    // A document marker ends every block; the caller reports it
+    if (/^(---|\.\.\.)\s*(#.*)?$/.test(line)) return null;
+    const lineIndent = indentOf(line);
+    if (lineIndent < indent) return null;
+    if (lineIndent > indent) throw yamlError(pos + 1, 'Unexpected indentation (plain values must fit on one line; use a | block for several lines)');
+    return line.slice(indent);
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    for (let content = nextEntry(indent); content !== null && isSequenceItem(content); content = nextEntry(indent)) {
+      const rest = content.slice(1).replace(/^ +/, '');
+      const itemIndent = indent + (content.length - rest.length);
+      const lineNo = pos + 1;
+      if (isSequenceItem(rest) || (!/^\|/.test(rest) && splitKey(rest, lineNo))) {
+        // `- key: value` or `- - item`: the rest of the line opens a nested block at its own column
+        lines[pos] = ' '.repeat(itemIndent) + rest;
+        items.push(parseBlock(itemIndent));
+      } else {
+        pos++;
+        items.push(parseValue(rest, indent, lineNo, false));
+      }
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    for (let content = nextEntry(indent); content !== null && !isSequenceItem(content); content = nextEntry(indent)) {
+      const lineNo = pos + 1;
+      const entry = splitKey(content, lineNo);
+      if (!entry) throw yamlError(lineNo, `Expected 'key: value', got '${content.trim()}'`);
+      if (Object.prototype.hasOwnProperty.call(map, entry.key)) throw yamlError(lineNo, `Duplicate key '${entry.key}'`);
+      pos++;
+      map[entry.key] = parseValue(entry.rest, indent, lineNo, true);
+    }
+    return map;
+  }
+
+  skipBlank();
+  if (pos < lines.length && /^---\s*(#.*)?$/.test(lines[pos])) {
+    pos++;
+    skipBlank();
+  }
+  let value = null;
+  if (pos < lines.length) {
+    const content = lines[pos];
+    if (indentOf(content) > 0) throw yamlError(pos + 1, 'Unexpected indentation');
+    // A document is a mapping, a sequence or a single scalar line (such as [] for no rows)
+    if (isSequenceItem(content) || splitKey(content, pos + 1)) {
+      value = parseBlock(0);
+    } else {
+      value = parseScalar(content, pos + 1);
+      pos++;
+    }
+  }
+  skipBlank();
+  if (pos < lines.length) {
+    const rest = lines[pos].trim();
+    throw yamlError(pos + 1, /^(---|\.\.\.)/.test(rest) ? 'Only one document is supported' : `Unexpected '${rest}'`);
+  }
+  return value;
+}
+
+// Serializer for the same subset: block mappings and sequences, multi-line strings as | block
+// scalars, and scalars quoted whenever a plain one would read back differently
+const PLAIN_KEY_RE = /^[A-Za-z_][\w.-]*$/;
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isEmptyCollection(value) {
+  return Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+}
+
+function plainSafe(text) {
+  return text !== '' && text === text.trim() && !/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) &&
+    !/[\n\r\t]|: |\s#|:$/.test(text) && plainScalar(text) === text;
+}
+
+function scalarText(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return plainSafe(value) ? value : JSON.stringify(value);
+  return String(value);
+}
+
+function keyText(key) {
+  return PLAIN_KEY_RE.test(key) && plainScalar(key) === key ? key : JSON.stringify(key);
+}
+
+// Lines of a | block scalar (with the chomping indicator that restores trailing newlines),
+// or null when the text must be quoted instead
+function blockScalarLines(text, indent) {
+  if (!text.includes('\n') || text.includes('\r')) return null;
+  const core = text.replace(/\n+$/, '');
+  const trailing = text.length - core.length;
+  const lines = core.split('\n');
+  const first = lines.find(line => line !== '');
+  // The first line sets the block's indentation; whitespace-only lines would read back empty
+  if (first === undefined || /^\s/.test(first) || lines.some(line => line !== '' && line.trim() === '')) return null;
+  const header = trailing === 0 ? '|-' : trailing === 1 ? '|' : '|+';
+  const pad = ' '.repeat(indent);
+  return [header, ...lines.map(line => (line ? pad + line : '')), ...Array(Math.max(0, trailing - 1)).fill('')];
+}
+
+// `head value` for a scalar after `key:` or `-`; block scalars continue on indented lines
+function scalarEntry(head, value, indent) {
+  const block = typeof value === 'string' ? blockScalarLines(value, indent) : null;
+  if (block) return [`${head} ${block[0]}`, ...block.slice(1)];
+  return [`${head} ${scalarText(value)}`];
+}
+
+function renderBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+  if (!isCollection(value)) {
+    const block = typeof value === 'string' ? blockScalarLines(value, indent + 2) : null;
+    return block ? [pad + block[0], ...block.slice(1)] : [pad + scalarText(value)];
+  }
+  if (isEmptyCollection(value)) return [pad + (Array.isArray(value) ? '[]' : '{}')];
+  const lines = [];
+  const entries = Array.isArray(value) ? value.map(item => ['-', item]) : Object.entries(value).map(([key, item]) => [`${keyText(key)}:`, item]);
+  for (const [head, item] of entries) {
+    if (isCollection(item) && !isEmptyCollection(item)) {
+      if (Array.isArray(value)) {
+        // `- key: value` / `- - item`: the nested block starts on the dash line
+        const inner = renderBlock(item, indent + 2);
+        lines.push(`${pad}- ${inner[0].slice(indent + 2)}`, ...inner.slice(1));
+      } else {
+        lines.push(pad + head, ...renderBlock(item, indent + 2));
+      }
+    } else if (isCollection(item)) {
+      lines.push(`${pad}${head} ${Array.isArray(item) ? '[]' : '{}'}`);
+    } else {
+      lines.push(...scalarEntry(pad + head, item, indent + 2));
+    }
+  }
+  return lines;
+}
+
+// A value as a YAML document (with a trailing newline) that parseYaml reads back as an equal value
+export function stringifyYaml(value) {
+  return renderBlock(value, 0).join('\n') + '\n';
+}
@@ -0,0 +1,75 @@
+// aggregate.test.js
+import { aggregateRows, computeAggregate } from '../../src/aggregate.js';
+
+describe('Aggregate', () => {
+  const rows = [
+    { id: '1', title: 'One', stakeholders: ['Alice', 'Bob'], tags: ['rpc'], weight: 3, completed: false },
+    { id: '2', title: 'Two', stakeholders: ['Alice'], weight: 5, completed: true },
+    { id: '3', title: 'Three', tags: ['rpc', 'ui'], weight: 'heavy' },
+    { id: '4', title: 'Four', stakeholders: ['Bob'], due: '2025-10-01' }
+  ];
+
+  describe('computeAggregate', () => {
+    test('should count rows and non-null values', () => {
+      expect(computeAggregate({ fn: 'COUNT', field: '*' }, rows)).toBe(4);
+      expect(computeAggregate({ fn: 'COUNT', field: 'due' }, rows)).toBe(1);
+    });
+
+    test('should sum and average numeric values only', () => {
+      expect(computeAggregate({ fn: 'SUM', field: 'weight' }, rows)).toBe(8);
+      expect(computeAggregate({ fn: 'AVG', field: 'weight' }, rows)).toBe(4);
+      expect(computeAggregate({ fn: 'SUM', field: 'missing' }, rows)).toBeNull();
+    });
+
+    test('should compute MIN and MAX across scalars and array elements', () => {
+      expect(computeAggregate({ fn: 'MIN', field: 'title' }, rows)).toBe('Four');
+      expect(computeAggregate({ fn: 'MAX', field: 'title' }, rows)).toBe('Two');
+      expect(computeAggregate({ fn: 'MAX', field: 'tags' }, rows)).toBe('ui');
+      expect(computeAggregate({ fn: 'MIN', field: 'due' }, [])).toBeNull();
+    });
+
+    test('should compute MIN and MAX of dates, durations and priorities by type', () => {
+      const typed = [
+        { id: 'a', data: { due: '2025-10-1', effort: '3h', priority: 'B' } },
+        { id: 'b', data: { due: '2025-9-15', effort: '2d', priority: 'A' } }
+      ];
+      expect(computeAggregate({ fn: 'MIN', field: 'due' }, typed)).toBe('2025-9-15');
+      expect(computeAggregate({ fn: 'MAX', field: 'effort' }, typed)).toBe('2d');
+      expect(computeAggregate({ fn: 'MAX', field: 'priority' }, typed)).toBe('A');
+    });
+  });
+
+  describe('aggregateRows', () => {
+    test('should aggregate everything into one group without GROUP BY', () => {
+      const result = aggregateRows(rows, [], [{ fn: 'COUNT', field: '*', label: 'COUNT(*)' }]);
+      expect(result).toEqual([{ 'COUNT(*)': 4 }]);
+    });
+
+    test('should return a zero count for no rows', () => {
+      const result = aggregateRows([], [], [{ fn: 'COUNT', field: '*', label: 'COUNT(*)' }]);
+      expect(result).toEqual([{ 'COUNT(*)': 0 }]);
+    });
+
+    test('should unnest array fields per element when grouping', () => {
+      const result = aggregateRows(rows, ['stakeholders'], [
+        { fn: 'COUNT', field: '*', label: 'COUNT(*)' },
+        { fn: 'SUM', field: 'weight', label: 'SUM(weight)' }
+      ]);
+      expect(result).toEqual([
+        { stakeholders: 'Alice', 'COUNT(*)': 2, 'SUM(weight)': 8 },
+        { stakeholders: 'Bob', 'COUNT(*)': 2, 'SUM(weight)': 3 },
+        { stakeholders: null, 'COUNT(*)': 1, 'SUM(weight)': null }
+      ]);
+    });
+
+    test('should group by multiple keys', () => {
+      const result = aggregateRows(rows, ['tags', 'completed'], [{ fn: 'COUNT', field: '*', label: 'n' }]);
+      expect(result).toEqual([
+        { tags: 'rpc', completed: false, n: 2 },
+        { tags: null, completed: true, n: 1 },
+        { tags: 'ui', completed: false, n: 1 },
+        { tags: null, completed: false, n: 1 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// atomicWrite.test.js
+import { writeFileAtomic, writeFilesAtomic, acquireLock, rememberRead, fileSignature, LOCK_SUFFIX } from '../../src/atomicWrite.js';
+import fs from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+
+describe('Atomic writes', () => {
+  const root = path.join(tmpdir(), `todo-atomic-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  fs.mkdirSync(root, { recursive: true });
+
+  test('should write through a temp file and leave no lock or temp file behind', () => {
+    const file = path.join(root, 'new.md');
+    writeFileAtomic(file, '## TODO\n- "a"');
+    expect(fs.readFileSync(file, 'utf8')).toBe('## TODO\n- "a"');
+    expect(fs.readdirSync(root)).toEqual(['new.md']);
+  });
+
+  test('should allow rewriting a file that is unchanged since it was read', () => {
+    const file = path.join(root, 'same.md');
+    fs.writeFileSync(file, 'one', 'utf8');
+    rememberRead(file, fs.readFileSync(file, 'utf8'));
+    writeFileAtomic(file, 'two');
+    writeFileAtomic(file, 'three');
+    expect(fs.readFileSync(file, 'utf8')).toBe('three');
+  });
+
+  test('should refuse to overwrite a file changed since it was read', () => {
+    const file = path.join(root, 'changed.md');
+    fs.writeFileSync(file, 'original', 'utf8');
+    rememberRead(file, fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, 'edited elsewhere', 'utf8');
+    expect(() => writeFileAtomic(file, 'mine')).toThrow('Conflict');
+    expect(fs.readFileSync(file, 'utf8')).toBe('edited elsewhere');
+    expect(fs.existsSync(file + LOCK_SUFFIX)).toBe(false);
+  });
+
+  test('should write no file when one of several has a conflict', () => {
+    const first = path.join(root, 'first.md');
+    const second = path.join(root, 'second.md');
+    fs.writeFileSync(first, 'first', 'utf8');
+    fs.writeFileSync(second, 'second', 'utf8');
+    rememberRead(first, 'first');
+    rememberRead(second, 'second');
+    fs.writeFileSync(second, 'second, edited', 'utf8');
+    expect(() => writeFilesAtomic([{ file: first, content: 'new first' }, { file: second, content: 'new second' }])).toThrow('Conflict');
+    expect(fs.readFileSync(first, 'utf8')).toBe('first');
+    expect(fs.readFileSync(second, 'utf8')).toBe('second, edited');
+  });
+
+  test('should run onWritten once the files are written and before the locks are released', () => {
+    const file = path.join(root, 'journaled.md');
+    const seen = [];
+    writeFilesAtomic([{ file, content: 'done' }], {
+      onWritten: () => seen.push([fs.readFileSync(file, 'utf8'), fs.existsSync(file + LOCK_SUFFIX)])
+    });
+    expect(seen).toEqual([['done', true]]);
+    expect(fs.existsSync(file + LOCK_SUFFIX)).toBe(false);
+  });
+
+  test('should fail while another live process holds the lock', () => {
+    const file = path.join(root, 'locked.md');
+    const release = acquireLock(file);
+    expect(() => acquireLock(file, { timeout: 0 })).toThrow('is locked by another process');
+    release();
+    acquireLock(file, { timeout: 0 })();
+    expect(fs.existsSync(file + LOCK_SUFFIX)).toBe(false);
+  });
+
+  test('should take over a stale lock', () => {
+    const file = path.join(root, 'stale.md');
+    fs.writeFileSync(file + LOCK_SUFFIX, JSON.stringify({ pid: 2147483646, time: new Date().toISOString() }), 'utf8');
+    writeFileAtomic(file, 'ok');
+    expect(fs.readFileSync(file, 'utf8')).toBe('ok');
+  });
+
+  test('should report signatures of existing files only', () => {
+    expect(fileSignature(path.join(root, 'missing.md'))).toBe(null);
+    expect(fileSignature(path.join(root, 'stale.md')).size).toBe(2);
+  });
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
@@ -13,11 +13,13 @@ const cliPath = path.join(__dirname, '..', '..', 'src', 'cli.js');
 
 // Helper function to run CLI commands
 function runCli(args, options = {}) {
+  const { input, ...spawnOptions } = options;
   return new Promise((resolve, reject) => {
     const child = spawn('node', [cliPath, ...args], {
       stdio: 'pipe',
-      ...options
+      ...spawnOptions
     });
+    if (input !== undefined) child.stdin.end(input);
 
     let stdout = '';
     let stderr = '';
@@ -144,8 +146,8 @@ describe('CLI Integration', () => {
         for (let i = 0; i < tasksWithPriority.length - 1; i++) {
           const current = tasksWithPriority[i].priority;
           const next = tasksWithPriority[i + 1].priority;
-          // D > C > B > A in descending order
-          expect(current >= next).toBe(true);
+          // A ranks highest, so descending order is A, B, C, D
+          expect(current <= next).toBe(true);
         }
       }
     });
@@ -160,6 +162,22 @@ describe('CLI Integration', () => {
       expect(Array.isArray(tasks)).toBe(true);
     });
 
+    test('should accept NULLS LAST and FIELD() in orderby', async () => {
+      const file = createTempFile(`## TODO\n\n- "Write docs" status: todo\n- "Ship" status: doing weight: 2\n- "Plan" weight: 1\n`);
+      tempFiles.push(file);
+
+      const result = await runCli(['select', file, 'orderby', 'weight nulls last']);
+      expect(result.code).toBe(0);
+      expect(JSON.parse(result.stdout).map(t => t.title)).toEqual(['Plan', 'Ship', 'Write docs']);
+
+      const byStatus = await runCli(['select', file, 'orderby', `FIELD(status, 'doing', 'todo')`]);
+      expect(JSON.parse(byStatus.stdout).map(t => t.title)).toEqual(['Plan', 'Ship', 'Write docs']);
+
+      const invalid = await runCli(['select', file, 'orderby', 'title collate shouting']);
+      expect(invalid.code).toBe(1);
+      expect(invalid.stderr).toContain("Unknown collation 'shouting'");
+    });
+
     test('should write sorted tasks to output file', async () => {
       const outputFile = createTempFile('');
       tempFiles.push(outputFile);
@@ -248,6 +266,46 @@ describe('CLI Integration', () => {
       // Assuming there are completed tasks
     });
 
+    test('should execute SELECT with AND/OR conditions', async () => {
+      const result = await runCli(['query', `SELECT title, priority, tags FROM ${todoFixture} WHERE priority = 'A' AND tags CONTAINS 'urgent'`, '-o', 'json']);
+
+      expect(result.code).toBe(0);
+
+      const tasks = JSON.parse(result.stdout);
+      expect(tasks.length).toBe(1);
+      expect(tasks[0].title).toBe('Server migration');
+    });
+
+    test('should execute SELECT with parentheses and NOT', async () => {
+      const result = await runCli(['query', `SELECT title FROM ${todoFixture} WHERE (priority = 'A' OR priority = 'B') AND NOT tags CONTAINS 'urgent'`, '-o', 'json']);
+
+      expect(result.code).toBe(0);
+
+      const tasks = JSON.parse(result.stdout);
+      expect(tasks.some(t => t.title === 'Server migration')).toBe(false);
+      expect(tasks.some(t => t.title === 'Prepare roadmap')).toBe(true);
+    });
+
+    test('should execute SELECT with IN, LIKE and MATCHES', async () => {
+      const result = await runCli(['query', `SELECT title FROM ${todoFixture} WHERE priority IN ('A', 'B') AND title NOT LIKE 'P%' AND title MATCHES /auth|migration/i`, '-o', 'json']);
+
+      expect(result.code).toBe(0);
+
+      const tasks = JSON.parse(result.stdout);
+      expect(tasks.map(t => t.title)).toEqual(['Refactor auth service', 'Server migration']);
+    });
+
+    test('should execute SELECT with GROUP BY and HAVING', async () => {
+      const result = await runCli(['query', `SELECT stakeholders, COUNT(*), SUM(weight) FROM ${todoFixture} WHERE completed = false GROUP BY stakeholders HAVING COUNT(*) > 1`, '-o', 'json']);
+
+      expect(result.code).toBe(0);
+
+      const rows = JSON.parse(result.stdout);
+      const alice = rows.find(r => r.stakeholders === 'Alice');
+      expect(alice['COUNT(*)']).toBe(3);
+      expect(alice['SUM(weight)']).toBe(20);
+    });
+
     test('should execute SELECT with ORDER BY', async () => {
       const result = await runCli(['query', `SELECT * FROM ${todoFixture} ORDER BY priority DESC`]);
 
@@ -291,6 +349,87 @@ describe('CLI Integration', () => {
       expect(outputContent).toContain('## TODO');
     });
 
+    test('should write only the selected tasks with SELECT ... INTO', async () => {
+      const tempFile = createTempFile('## TODO\n\n- "Engine" id: e1 weight: 1\n  - [x] "Pistons" id: p1 weight: 3\n    - "Rings" id: r1 weight: 2\n- "Paint" id: pa weight: 5\n');
+      const outputFile = createTempFile('');
+      tempFiles.push(tempFile, outputFile);
+
+      const result = await runCli(['query', `SELECT * FROM ${tempFile} WHERE completed = false ORDER BY weight DESC INTO ${outputFile}`]);
+      expect(result.code).toBe(0);
+      const content = fs.readFileSync(outputFile, 'utf8');
+      expect(content).not.toContain('Pistons');
+      // Rings loses its unselected parent and moves under Engine, its nearest selected ancestor
+      expect(content.indexOf('"Engine"')).toBeGreaterThan(content.indexOf('"Paint"'));
+      expect(content).toContain('  - "Rings"');
+    });
+
+    test('should print the plan with EXPLAIN', async () => {
+      const result = await runCli(['query', `EXPLAIN SELECT title FROM missing.md WHERE completed = false ORDER BY due LIMIT 5`, '-o', 'json']);
+      expect(result.code).toBe(0);
+      const steps = JSON.parse(result.stdout);
+      expect(steps.map(s => s.op)).toEqual(['scan', 'filter', 'sort', 'limit', 'project']);
+      expect(steps[1].detail).toBe('completed = false');
+    });
+
+    test('should print CSV and TSV with --no-header and --array-separator', async () => {
+      const file = createTempFile('## TODO\n\n- A @Alice @Bob "Write, review" weight: 2\n  note: |\n    two\n    lines\n');
+      tempFiles.push(file);
+
+      const csv = await runCli(['query', `SELECT title, stakeholders, note FROM ${file}`, '-o', 'csv']);
+      expect(csv.code).toBe(0);
+      expect(csv.stdout).toContain('id,parent,title,stakeholders,note\n');
+      expect(csv.stdout).toContain(',,"Write, review","Alice, Bob","two\nlines');
+
+      const tsv = await runCli(['query', `SELECT title, stakeholders FROM ${file}`, '--format', 'tsv', '--no-header', '--array-separator', '|']);
+      expect(tsv.code).toBe(0);
+      expect(tsv.stdout).not.toContain('title');
+      expect(tsv.stdout).toContain('\tWrite, review\tAlice|Bob');
+    });
+
+    test('should execute SELECT across multiple files', async () => {
+      const otherFile = createTempFile('## TODO\n\n- A @Alice "Other file task"\n');
+      tempFiles.push(otherFile);
+
+      const result = await runCli(['query', `SELECT title FROM ${todoFixture}, ${otherFile} WHERE stakeholders CONTAINS 'Alice'`, '-o', 'json']);
+
+      expect(result.code).toBe(0);
+
+      const tasks = JSON.parse(result.stdout);
+      const other = tasks.find(t => t.title === 'Other file task');
+      expect(other.file).toBe(otherFile);
+      expect(tasks.some(t => t.file === todoFixture)).toBe(true);
+    });
+
+    test('should only rewrite changed files in multi-file UPDATE', async () => {
+      const changedFile = createTempFile('## TODO\n\n- A "Change me"\n');
+      const untouchedContent = '## TODO\n\n- B "Leave me"   \n';
+      const untouchedFile = createTempFile(untouchedContent);
+      tempFiles.push(changedFile, untouchedFile);
+
+      const result = await runCli(['query', `UPDATE ${changedFile}, ${untouchedFile} SET weight = 3 WHERE title = 'Change me'`]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain(`Updated 1 tasks in ${changedFile}`);
+      expect(fs.readFileSync(changedFile, 'utf8')).toContain('weight: 3');
+      expect(fs.readFileSync(untouchedFile, 'utf8')).toBe(untouchedContent);
+    });
+
+    test('should execute SELECT with LEFT JOIN', async () => {
+      const tasksFile = createTempFile('## TODO\n\n- A "Build engine" epic: e1\n- B "Orphan"\n');
+      const epicsFile = createTempFile('## TODO\n\n- "Engine epic" id: e1\n');
+      tempFiles.push(tasksFile, epicsFile);
+
+      const result = await runCli(['query', `SELECT t.title, e.title FROM ${tasksFile} t LEFT JOIN ${epicsFile} e ON t.epic = e.id`, '-o', 'json']);
+
+      expect(result.code).toBe(0);
+
+      const rows = JSON.parse(result.stdout);
+      expect(rows).toEqual([
+        { 't.title': 'Build engine', 'e.title': 'Engine epic' },
+        { 't.title': 'Orphan', 'e.title': null }
+      ]);
+    });
+
     test('should execute UPDATE', async () => {
       const tempFile = createTempFile(fs.readFileSync(todoFixture, 'utf8'));
       tempFiles.push(tempFile);
@@ -301,6 +440,273 @@ describe('CLI Integration', () => {
       expect(result.stdout).toContain('Updated');
     });
 
+    test('should execute UPDATE with value expressions', async () => {
+      const tempFile = createTempFile('## TODO\n\n- A @Bob @Alice #core "Engine" weight: 3 due: 2025-10-28 id: e1\n');
+      tempFiles.push(tempFile);
+
+      const result = await runCli(['query', `UPDATE ${tempFile} SET weight = weight + 1, tags = tags + 'urgent', stakeholders = stakeholders - 'Bob', title = CONCAT('[WIP] ', title), due = due + 7d`]);
+
+      expect(result.code).toBe(0);
+      const content = fs.readFileSync(tempFile, 'utf8');
+      expect(content).toContain('- A @Alice #core #urgent "[WIP] Engine" weight: 4 due: 2025-11-04 id: e1');
+    });
+
+    test('should execute INSERT UNDER an existing task', async () => {
+      const tempFile = createTempFile('## TODO\n\n- A "Engine" id: e1\n  - B "Pistons" id: p1\n- C "Paint" id: pa\n');
+      tempFiles.push(tempFile);
+
+      const result = await runCli(['query', `INSERT INTO ${tempFile} UNDER 'e1' SET title = 'Design ECS'`]);
+
+      expect(result.code).toBe(0);
+      const lines = fs.readFileSync(tempFile, 'utf8').split('\n');
+      expect(lines[3]).toMatch(/^  - "Design ECS" id: /);
+      expect(lines[4]).toBe('- C "Paint" id: pa');
+    });
+
+    test('should execute MOVE between files keeping the subtree', async () => {
+      const sourceFile = createTempFile('## TODO\n\n- A "Engine" id: e1\n  - B "Pistons" id: p1\n- C "Paint" id: pa\n');
+      const targetFile = createTempFile('## TODO\n\n- "Backlog" id: bl\n');
+      tempFiles.push(sourceFile, targetFile);
+
+      const result = await runCli(['query', `MOVE FROM ${sourceFile} WHERE id = 'e1' UNDER 'bl' INTO ${targetFile}`]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain(`Moved 1 tasks from ${sourceFile} to ${targetFile}`);
+      expect(fs.readFileSync(sourceFile, 'utf8')).not.toContain('Engine');
+      expect(fs.readFileSync(targetFile, 'utf8')).toContain('- "Backlog" id: bl\n  - A "Engine" id: e1\n    - B "Pistons" id: p1');
+    });
+
+    test('should print a diff and affected ids with --dry-run without writing', async () => {
+      const content = '## TODO\n\n- A "Engine" id: e1\n  - B "Pistons" id: p1\n- C "Paint" id: pa\n';
+      const tempFile = createTempFile(content);
+      tempFiles.push(tempFile);
+
+      const result = await runCli(['query', '--dry-run', `DELETE FROM ${tempFile} WHERE id = 'e1'`]);
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain(`--- ${tempFile}\n+++ ${tempFile}\n@@`);
+      expect(result.stdout).toContain('\n-- A "Engine" id: e1\n-  - B "Pistons" id: p1\n');
+      expect(result.stdout).toContain('Affected tasks: e1, p1');
+      expect(fs.readFileSync(tempFile, 'utf8')).toBe(content);
+    });
+
+    test('should confirm each change with --interactive', async () => {
+      const tempFile = createTempFile('## TODO\n\n- A "Engine" id: e1\n- C "Paint" id: pa\n');
+      tempFiles.push(tempFile);
+
+      const result = await runCli(['query', `UPDATE ${tempFile} SET priority = 'B'`, '--interactive'], { input: 'n\ny\n' });
+
+      expect(result.code).toBe(0);
+      expect(result.stderr).toContain('Update task e1');
+      expect(result.stdout).toContain('Updated 1 tasks');
+      const content = fs.readFileSync(tempFile, 'utf8');
+      expect(content).toContain('- A "Engine" id: e1');
+      expect(content).toContain('- B "Paint" id: pa');
+    });
+
+    test('should undo and redo a DELETE from the journal', async () => {
+      const dir = fs.mkdtempSync(path.join(tmpdir(), 'todo-undo-'));
+      const tempFile = path.join(dir, 'tasks.md');
+      try {
+        fs.writeFileSync(tempFile, '## TODO\n\n- A "Engine" id: e1\n  - B "Pistons" id: p1\n- C "Paint" id: pa\n', 'utf8');
+
+        await runCli(['query', `DELETE FROM ${tempFile} WHERE id = 'e1'`]);
+        expect(fs.readFileSync(tempFile, 'utf8')).not.toContain('Engine');
+
+        const undo = await runCli(['undo', tempFile]);
+        expect(undo.code).toBe(0);
+        expect(undo.stdout).toContain('Undid #1');
+        expect(fs.readFileSync(tempFile, 'utf8')).toContain('- A "Engine" id: e1\n  - B "Pistons" id: p1');
+
+        const redo = await runCli(['redo', tempFile]);
+        expect(redo.code).toBe(0);
+        expect(fs.readFileSync(tempFile, 'utf8')).not.toContain('Engine');
+
+        const history = await runCli(['history', tempFile]);
+        expect(history.stdout).toContain("query DELETE FROM");
+        expect(history.stdout).toContain('undo #1');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should undo a MOVE INTO another file in both files at once', async () => {
+      const dir = fs.mkdtempSync(path.join(tmpdir(), 'todo-undo-'));
+      const source = path.join(dir, 'a.md');
+      const target = path.join(dir, 'b.md');
+      try {
+        fs.writeFileSync(source, '## TODO\n\n- A "Engine" id: e1\n- C "Paint" id: pa\n', 'utf8');
+        fs.writeFileSync(target, '## TODO\n\n- B "Other" id: o1\n', 'utf8');
+
+        const move = await runCli(['query', `MOVE FROM ${source} WHERE id = 'e1' TO ROOT INTO ${target}`]);
+        expect(move.code).toBe(0);
+        const history = await runCli(['history', source]);
+        expect(history.stdout).toContain('a.md, b.md  query MOVE FROM');
+
+        // A later write to b.md alone blocks undoing the move from a.md
+        await runCli(['query', `INSERT INTO ${target} SET title = 'Late'`]);
+        const partial = await runCli(['undo', source]);
+        expect(partial.code).toBe(1);
+        expect(partial.stderr).toContain(`Entry #1 also wrote ${target}`);
+        expect(fs.readFileSync(source, 'utf8')).not.toContain('Engine');
+
+        expect((await runCli(['undo', target])).code).toBe(0);
+        const undo = await runCli(['undo', source]);
+        expect(undo.code).toBe(0);
+        expect(undo.stdout).toContain(`Undid #1 (query MOVE FROM ${source}`);
+        expect(fs.readFileSync(source, 'utf8')).toContain('- A "Engine" id: e1');
+        expect(fs.readFileSync(target, 'utf8')).not.toContain('Engine');
+
+        expect((await runCli(['redo', target])).code).toBe(0);
+        expect(fs.readFileSync(source, 'utf8')).not.toContain('Engine');
+        expect(fs.readFileSync(target, 'utf8')).toContain('- A "Engine" id: e1');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should resolve DESCENDANT OF and ANCESTOR OF id prefixes', async () => {
+      const tempFile = createTempFile('## TODO\n\n- A "Engine" id: e1a2\n  - B "Pistons" id: p1b2\n- C "Paint" id: e1c3\n');
+      tempFiles.push(tempFile);
+
+      const below = await runCli(['query', `SELECT title FROM ${tempFile} WHERE DESCENDANT OF 'e1a'`, '-o', 'json']);
+      expect(below.code).toBe(0);
+      expect(JSON.parse(below.stdout).map(row => row.title)).toEqual(['Pistons']);
+
+      const above = await runCli(['query', `SELECT title FROM ${tempFile} WHERE ANCESTOR OF 'p1'`, '-o', 'json']);
+      expect(JSON.parse(above.stdout).map(row => row.title)).toEqual(['Engine']);
+
+      const ambiguous = await runCli(['query', `SELECT title FROM ${tempFile} WHERE DESCENDANT OF 'e1'`]);
+      expect(ambiguous.code).toBe(1);
+      expect(ambiguous.stderr).toContain("DESCENDANT OF 'e1': Ambiguous id prefix 'e1' matches 2 tasks");
+
+      const unknown = await runCli(['query', `DELETE FROM ${tempFile} WHERE ANCESTOR OF 'zz'`]);
+      expect(unknown.code).toBe(1);
+      expect(unknown.stderr).toContain("ANCESTOR OF 'zz': No task id matching prefix 'zz'");
+    });
+
+    test('should validate tags and stakeholders the same way in INSERT and UPDATE', async () => {
+      const tempFile = createTempFile('## TODO\n\n- A "Engine" id: e1\n');
+      tempFiles.push(tempFile);
+
+      const message = "Invalid tag name 'bad tag'. Tags may only contain letters, numbers, hyphens, and underscores. No spaces or # symbols are allowed.";
+      const inserted = await runCli(['query', `INSERT INTO ${tempFile} SET title = 'x', tags = 'ok,bad tag'`]);
+      expect(inserted.code).toBe(1);
+      expect(inserted.stderr).toContain(message);
+      const updated = await runCli(['query', `UPDATE ${tempFile} SET tags = 'ok,bad tag'`]);
+      expect(updated.code).toBe(1);
+      expect(updated.stderr).toContain(message);
+
+      const person = await runCli(['query', `INSERT INTO ${tempFile} SET title = 'x', stakeholders = '@Bob'`]);
+      expect(person.code).toBe(1);
+      expect(person.stderr).toContain("Invalid stakeholder name '@Bob'");
+      expect(fs.readFileSync(tempFile, 'utf8')).not.toContain('"x"');
+    });
+
+    test('should print affected rows with RETURNING', async () => {
+      const tempFile = createTempFile('## TODO\n\n- A "Engine" id: e1\n  - B "Pistons" id: p1\n- C "Paint" id: pa\n');
+      tempFiles.push(tempFile);
+
+      const updated = await runCli(['query', `UPDATE ${tempFile} SET priority = 'D' WHERE DESCENDANT OF 'e1' RETURNING title, priority, parent.title`, '-o', 'json']);
+      expect(updated.code).toBe(0);
+      expect(JSON.parse(updated.stdout)).toEqual([
+        { id: 'p1', parent: 'e1', title: 'Pistons', priority: 'D', 'parent.title': 'Engine' }
+      ]);
+
+      const deleted = await runCli(['query', `DELETE FROM ${tempFile} WHERE id = 'e1' RETURNING id`, '-o', 'json']);
+      expect(JSON.parse(deleted.stdout)).toEqual([{ id: 'e1', parent: null }, { id: 'p1', parent: 'e1' }]);
+
+      const inserted = await runCli(['query', `INSERT INTO ${tempFile} UNDER 'pa' SET title = 'Primer' RETURNING *`, '-o', 'json']);
+      const rows = JSON.parse(inserted.stdout);
+      expect(rows.length).toBe(1);
+      expect(rows[0].parent).toBe('pa');
+      expect(rows[0].title).toBe('Primer');
+    });
+
+    test('should bind --param values without escaping', async () => {
+      const tempFile = createTempFile('## TODO\n\n- A "Engine" id: e1\n- C "Paint" id: pa\n');
+      tempFiles.push(tempFile);
+      const title = `Fix "quoted" it's; done`;
+
+      const inserted = await runCli(['query', `INSERT INTO ${tempFile} UNDER ? SET title = :title`, '--param', '1=e1', '--param', `title=${title}`]);
+      expect(inserted.code).toBe(0);
+
+      const selected = await runCli(['query', `SELECT title FROM ${tempFile} WHERE title = :title`, '--param', `title=${title}`, '-o', 'json']);
+      const rows = JSON.parse(selected.stdout);
+      expect(rows.length).toBe(1);
+      expect(rows[0].title).toBe(title);
+      expect(rows[0].parent).toBe('e1');
+
+      const missing = await runCli(['query', `SELECT * FROM ${tempFile} WHERE id = :id`]);
+      expect(missing.code).toBe(1);
+      expect(missing.stderr).toContain('No value bound for placeholder :id');
+    });
+
+    test('should page through SELECT results with OFFSET and --after cursors', async () => {
+      const tempFile = createTempFile('## TODO\n\n- "one" id: t1 weight: 3\n- "two" id: t2 weight: 1\n- "three" id: t3 weight: 2\n- "four" id: t4 weight: 5\n- [x] "five" id: t5 weight: 4\n');
+      tempFiles.push(tempFile);
+      const query = `SELECT title FROM ${tempFile} WHERE completed = false ORDER BY weight LIMIT 2`;
+
+      const offset = await runCli(['query', `${query} OFFSET 1`, '-o', 'json']);
+      expect(JSON.parse(offset.stdout).map(r => r.id)).toEqual(['t3', 't1']);
+
+      const first = await runCli(['query', query, '--paginate', '-o', 'json']);
+      const page1 = JSON.parse(first.stdout);
+      expect(page1.rows.map(r => r.id)).toEqual(['t2', 't3']);
+      expect(page1.next).toBe('t3');
+
+      const second = await runCli(['query', query, '--after', page1.next, '-o', 'json']);
+      const page2 = JSON.parse(second.stdout);
+      expect(page2.rows.map(r => r.id)).toEqual(['t1', 't4']);
+      expect(page2.next).toBe(null);
+
+      // t5 no longer matches WHERE but still marks a place in the order
+      const afterFiltered = await runCli(['query', query, '--after', 't5', '-o', 'json']);
+      expect(JSON.parse(afterFiltered.stdout).rows.map(r => r.id)).toEqual(['t4']);
+
+      const unknown = await runCli(['query', query, '--after', 'nope']);
+      expect(unknown.code).toBe(1);
+      expect(unknown.stderr).toContain("--after 'nope' does not match any task id");
+    });
+
+    test('should run a script and write the file once', async () => {
+      const tempFile = createTempFile('## TODO\n\n- A "Engine" id: e1\n  - [-] "Old part" id: op\n  - "Pistons" id: p1\n- C "Paint" id: pa\n');
+      tempFiles.push(tempFile);
+      const script = [
+        'BEGIN;',
+        `UPDATE ${tempFile} SET completed = true WHERE id = 'e1';`,
+        `DELETE FROM ${tempFile} WHERE skipped = true AND DESCENDANT OF 'e1';`,
+        `INSERT INTO ${tempFile} AFTER 'e1' SET title = 'Follow-up';`,
+        'COMMIT;',
+        'BEGIN;',
+        `DELETE FROM ${tempFile} WHERE id = 'pa';`,
+        'ROLLBACK;'
+      ].join('\n');
+
+      const result = await runCli(['run'], { input: script });
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('Rolled back changes since line 6');
+      const content = fs.readFileSync(tempFile, 'utf8');
+      expect(content).toContain('- [x] A "Engine" id: e1\n  - "Pistons" id: p1\n- "Follow-up"');
+      expect(content).toContain('Paint');
+      expect(content).not.toContain('Old part');
+    });
+
+    test('should write nothing when a script statement fails', async () => {
+      const original = '## TODO\n\n- A "Engine" id: e1\n- C "Paint" id: pa\n';
+      const tempFile = createTempFile(original);
+      tempFiles.push(tempFile);
+      const scriptFile = createTempFile(`DELETE FROM ${tempFile} WHERE id = 'pa';\nINSERT INTO ${tempFile} UNDER 'missing' SET title = 'x';\n`);
+      tempFiles.push(scriptFile);
+
+      const result = await runCli(['run', scriptFile]);
+
+      expect(result.code).toBe(1);
+      expect(result.stderr).toContain('Script stopped at line 2: nothing was written');
+      expect(fs.readFileSync(tempFile, 'utf8')).toBe(original);
+    });
+
     test('should execute DELETE', async () => {
       const tempFile = createTempFile(fs.readFileSync(todoFixture, 'utf8'));
       tempFiles.push(tempFile);
@@ -351,6 +757,170 @@ describe('CLI Integration', () => {
     });
   });
 
+  describe('view command', () => {
+    test('should run views from .todorc with environment variables and view defaults', async () => {
+      const dir = fs.mkdtempSync(path.join(tmpdir(), 'test-todo-view-'));
+      const sub = path.join(dir, 'sub');
+      fs.mkdirSync(sub);
+      fs.writeFileSync(path.join(dir, 'tasks.md'), '## TODO\n\n- A @bob "Fix login" due: 2025-10-01 id: t1\n- B @alice "Write docs" due: 2025-09-01 id: t2\n- [x] @bob "Old thing" id: t3\n');
+      fs.writeFileSync(path.join(dir, '.todorc'), [
+        'format: json',
+        'views:',
+        '  mine:',
+        '    query: SELECT title, due FROM tasks.md WHERE stakeholders CONTAINS $USER AND completed = false ORDER BY due',
+        '    columns:',
+        '      - title',
+        '      - due',
+        '  by: SELECT title FROM tasks.md WHERE stakeholders CONTAINS ?',
+        ''
+      ].join('\n'));
+
+      try {
+        const env = { ...process.env, USER: 'bob' };
+        const mine = await runCli(['view', 'mine'], { cwd: sub, env });
+        expect(mine.code).toBe(0);
+        expect(JSON.parse(mine.stdout)).toEqual([{ title: 'Fix login', due: '2025-10-01' }]);
+
+        const by = await runCli(['view', 'by', 'alice', '-o', 'table'], { cwd: sub, env });
+        expect(by.code).toBe(0);
+        expect(by.stdout).toContain('Write docs');
+        expect(by.stdout).toContain('|');
+
+        const list = await runCli(['view'], { cwd: sub, env });
+        expect(list.stdout).toContain('mine');
+        expect(list.stdout).toContain('by');
+
+        const unknown = await runCli(['view', 'nope'], { cwd: sub, env });
+        expect(unknown.code).toBe(1);
+        expect(unknown.stderr).toContain("Unknown view 'nope' (available: mine, by)");
+
+        const { USER, ...noUser } = env;
+        const unset = await runCli(['view', 'mine'], { cwd: sub, env: noUser });
+        expect(unset.code).toBe(1);
+        expect(unset.stderr).toContain('Environment variable USER is not set');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('import command', () => {
+    test('should round-trip tasks through ndjson output and import', async () => {
+      const sourceFile = createTempFile('## TODO\n\n- A @Alice "Epic" id: e1\n  - "Step" weight: 2 id: s1\n- B "Other" id: o1\n');
+      const targetFile = createTempFile('## TODO\n\n- C "Existing" id: x1\n');
+      tempFiles.push(sourceFile, targetFile);
+
+      const exported = await runCli(['query', `SELECT * FROM ${sourceFile} WHERE id != 'o1'`, '-o', 'ndjson']);
+      expect(exported.code).toBe(0);
+      const lines = exported.stdout.trim().split('\n');
+      expect(lines.length).toBe(2);
+      expect(JSON.parse(lines[1])).toEqual({ id: 's1', parent: 'e1', title: 'Step', weight: 2 });
+
+      const imported = await runCli(['import', targetFile, '--from', 'ndjson'], { input: exported.stdout + '{"title":"Note","parent":"x1"}\n' });
+      expect(imported.code).toBe(0);
+      expect(imported.stdout).toContain(`Imported 3 tasks into ${targetFile}`);
+      const content = fs.readFileSync(targetFile, 'utf8');
+      expect(content).toContain('- C "Existing" id: x1\n  - "Note"');
+      expect(content).toContain('- A @Alice "Epic" id: e1\n  - "Step" weight: 2 id: s1');
+    });
+
+    test('should reject invalid records without writing', async () => {
+      const targetFile = createTempFile('## TODO\n\n- "Existing" id: x1\n');
+      tempFiles.push(targetFile);
+
+      const result = await runCli(['import', targetFile], { input: '{"title":"Ok"}\n{"title":"Dup","id":"x1"}\n' });
+      expect(result.code).toBe(1);
+      expect(result.stderr).toContain("Line 2: task id 'x1' already exists");
+      expect(fs.readFileSync(targetFile, 'utf8')).not.toContain('Ok');
+    });
+
+    test('should import a filtered subset whose subtasks lost their parent at the top level', async () => {
+      const sourceFile = createTempFile('## TODO\n\n- "Epic" id: e1\n  - #q4 "Step" id: s1\n- #q4 "Other" id: o1\n');
+      const targetFile = createTempFile('## TODO\n\n- "Existing" id: x1\n');
+      tempFiles.push(sourceFile, targetFile);
+
+      const exported = await runCli(['query', `SELECT * FROM ${sourceFile} WHERE tags CONTAINS 'q4'`, '-o', 'ndjson']);
+      expect(exported.code).toBe(0);
+      const imported = await runCli(['import', targetFile], { input: exported.stdout });
+      expect(imported.code).toBe(0);
+      expect(imported.stdout).toContain(`Imported 2 tasks into ${targetFile}`);
+      const content = fs.readFileSync(targetFile, 'utf8');
+      expect(content).toContain('- "Existing" id: x1\n- #q4 "Step" id: s1\n- #q4 "Other" id: o1');
+    });
+
+    test('should round-trip a tree through export and import --from yaml', async () => {
+      const sourceFile = createTempFile('## TODO\n\n- A @Alice "Epic" due: 2025-10-01 id: e1\n  - "Step, one" weight: 2 empty: "" blank: "  " id: s1\n    - [x] "Done" id: d1\n- B #ops "Other" id: o1\n');
+      const targetFile = createTempFile('## TODO\n');
+      tempFiles.push(sourceFile, targetFile);
+
+      const exported = await runCli(['export', sourceFile]);
+      expect(exported.code).toBe(0);
+      expect(exported.stdout).toContain('  children:\n    - title: Step, one\n');
+      expect(exported.stdout).toContain('      empty: ""\n      blank: "  "\n');
+
+      const imported = await runCli(['import', targetFile, '--from', 'yaml'], { input: exported.stdout });
+      expect(imported.code).toBe(0);
+      expect(imported.stdout).toContain(`Imported 4 tasks into ${targetFile}`);
+      const again = await runCli(['export', targetFile]);
+      expect(again.stdout).toBe(exported.stdout);
+    });
+  });
+
+  describe('tree output', () => {
+    test('should draw matched tasks under their ancestors', async () => {
+      const testFile = createTempFile('## TODO\n\n- A @Alice "Epic" id: e1\n  - "Step" weight: 1 id: s1\n    - [x] #ui "Leaf" weight: 2 id: l1\n  - "Side" weight: 3 id: d1\n');
+      tempFiles.push(testFile);
+
+      const result = await runCli(['query', `SELECT title, weight FROM ${testFile} WHERE weight >= 2`, '-o', 'tree']);
+      expect(result.code).toBe(0);
+      expect(result.stdout).toBe('(A @Alice "Epic")\n├── ("Step")\n│   └── [x] #ui "Leaf" weight: 2\n└── "Side" weight: 3\n');
+
+      const grouped = await runCli(['query', `SELECT COUNT(*) FROM ${testFile}`, '-o', 'tree']);
+      expect(grouped.code).toBe(1);
+      expect(grouped.stderr).toContain('--format tree only works with SELECT over tasks');
+    });
+  });
+
+  describe('report command', () => {
+    test('should write the query result as an HTML page', async () => {
+      const testFile = createTempFile('## TODO\n\n- A @Alice #ui "Epic" id: e1\n  description: |\n    Ship **soon**\n  - "Step" weight: 2 id: s1\n');
+      const outFile = testFile.replace(/\.md$/, '.html');
+      tempFiles.push(testFile, outFile);
+
+      const result = await runCli(['report', `SELECT * FROM ${testFile}`, '--html', outFile, '--title', 'Weekly']);
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain(`Saved report to ${outFile}`);
+      const html = fs.readFileSync(outFile, 'utf8');
+      expect(html).toContain('<h1>Weekly</h1>');
+      expect(html).toContain('<tr data-key="1" data-parent="0">');
+      expect(html).toContain('<span class="badge tags">#ui</span>');
+      expect(html).toContain('<p>Ship <strong>soon</strong></p>');
+
+      const update = await runCli(['report', `UPDATE ${testFile} SET weight = 1`, '--html', outFile]);
+      expect(update.code).toBe(1);
+      expect(update.stderr).toContain('todo report needs a SELECT query');
+    });
+  });
+
+  describe('yaml output', () => {
+    test('should print rows and nest them under selected ancestors with --nested', async () => {
+      const testFile = createTempFile('## TODO\n\n- "Epic" id: e1\n  - "Step" id: s1\n    - "Leaf" id: l1\n- "Other" id: o1\n');
+      tempFiles.push(testFile);
+
+      const flat = await runCli(['query', `SELECT title FROM ${testFile}`, '-o', 'yaml']);
+      expect(flat.code).toBe(0);
+      expect(flat.stdout).toContain('- id: s1\n  parent: e1\n  title: Step\n');
+
+      const nested = await runCli(['query', `SELECT title FROM ${testFile} WHERE id != 's1'`, '-o', 'yaml', '--nested']);
+      expect(nested.code).toBe(0);
+      expect(nested.stdout).toContain('- id: e1\n  parent: null\n  title: Epic\n  children:\n    - id: l1\n      parent: s1\n      title: Leaf\n- id: o1');
+
+      const wrong = await runCli(['query', `SELECT title FROM ${testFile}`, '-o', 'json', '--nested']);
+      expect(wrong.code).toBe(1);
+      expect(wrong.stderr).toContain('--nested only works with --format yaml');
+    });
+  });
+
   describe('help command', () => {
     test('should display help with help subcommand', async () => {
       const result = await runCli(['help']);
@@ -0,0 +1,40 @@
+// config.test.js
+import { CONFIG_FILE, findConfigFile, parseConfig, loadConfig, getView } from '../../src/config.js';
+import fs from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+
+describe('Config', () => {
+  test('should read views from YAML and JSON', () => {
+    const yaml = parseConfig('format: json\nviews:\n  open: SELECT * FROM a.md WHERE completed = false\n  slim:\n    query: SELECT * FROM a.md\n    format: table\n    columns: title, due\n');
+    expect(yaml.views.open).toEqual({ query: 'SELECT * FROM a.md WHERE completed = false', format: 'json', columns: undefined, description: undefined });
+    expect(yaml.views.slim.format).toBe('table');
+    expect(yaml.views.slim.columns).toEqual(['title', 'due']);
+
+    const json = parseConfig('{ "views": { "open": { "query": "SELECT * FROM a.md", "columns": ["title"] } } }');
+    expect(json.views.open.columns).toEqual(['title']);
+  });
+
+  test('should reject invalid views', () => {
+    expect(() => parseConfig('views:\n  broken:\n    format: json\n')).toThrow("view 'broken' needs a query");
+    expect(() => parseConfig('views:\n  - a\n  - b')).toThrow('views must be a mapping');
+    expect(() => parseConfig('views:\n  a:\n    query: SELECT * FROM a.md\n    columns: [title]')).toThrow(`${CONFIG_FILE}: YAML error at line 4: flow collections are not supported`);
+    expect(() => parseConfig('{ "views": ')).toThrow(CONFIG_FILE);
+    expect(() => getView(parseConfig('views:\n  a: SELECT * FROM a.md\n'), 'b')).toThrow("Unknown view 'b' (available: a)");
+  });
+
+  test('should find the nearest .todorc in parent directories', () => {
+    const root = fs.mkdtempSync(path.join(tmpdir(), 'todo-config-'));
+    const nested = path.join(root, 'a', 'b');
+    fs.mkdirSync(nested, { recursive: true });
+    try {
+      fs.writeFileSync(path.join(root, CONFIG_FILE), 'views:\n  all: SELECT * FROM tasks.md\n');
+      expect(findConfigFile(nested)).toBe(path.join(root, CONFIG_FILE));
+      const config = loadConfig(nested);
+      expect(config.dir).toBe(root);
+      expect(Object.keys(config.views)).toEqual(['all']);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,32 @@
+// csvFormatter.test.js
+import { formatAsCsv, formatAsTsv, formatAsDelimited } from '../../src/csvFormatter.js';
+
+describe('CSV Formatter', () => {
+  const rows = [
+    { id: 'a1', parent: null, title: 'Write, review', tags: ['ui', 'docs'], completed: true, desc: 'line one\nsay "hi"' },
+    { id: 'b2', parent: 'a1', title: 'Plain', weight: 3 }
+  ];
+
+  test('should use the table column order and quote per RFC 4180', () => {
+    expect(formatAsCsv(rows)).toBe([
+      'id,parent,title,completed,weight,desc,tags',
+      'a1,,"Write, review",true,,"line one\nsay ""hi""","ui, docs"',
+      'b2,a1,Plain,,3,,'
+    ].join('\n'));
+  });
+
+  test('should separate TSV fields with tabs and quote only when needed', () => {
+    const tsv = formatAsTsv(rows, { columns: ['title', 'tags'], arraySeparator: ';' });
+    expect(tsv).toBe('title\ttags\nWrite, review\tui;docs\nPlain\t');
+    expect(formatAsTsv([{ title: 'a\tb' }])).toBe('title\n"a\tb"');
+  });
+
+  test('should omit the header with header: false', () => {
+    expect(formatAsCsv(rows, { columns: ['id'], header: false })).toBe('a1\nb2');
+  });
+
+  test('should print only the header for empty results with fixed columns', () => {
+    expect(formatAsDelimited([], { columns: ['priority', 'n'] })).toBe('priority,n');
+    expect(formatAsDelimited([])).toBe('');
+  });
+});
@@ -0,0 +1,59 @@
+// diff.test.js
+import { diffLines, formatUnifiedDiff } from '../../src/diff.js';
+
+describe('Diff', () => {
+  describe('diffLines', () => {
+    test('should keep common lines and mark removals before additions', () => {
+      expect(diffLines(['a', 'b', 'c'], ['a', 'x', 'c'])).toEqual([
+        { type: ' ', line: 'a' },
+        { type: '-', line: 'b' },
+        { type: '+', line: 'x' },
+        { type: ' ', line: 'c' }
+      ]);
+    });
+
+    test('should handle pure insertions and deletions', () => {
+      expect(diffLines([], ['a']).map(op => op.type)).toEqual(['+']);
+      expect(diffLines(['a', 'b'], ['b']).map(op => op.type)).toEqual(['-', ' ']);
+    });
+  });
+
+  describe('formatUnifiedDiff', () => {
+    const oldLines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+
+    test('should return nothing for identical input', () => {
+      expect(formatUnifiedDiff(oldLines, [...oldLines])).toEqual([]);
+    });
+
+    test('should print headers and a hunk with three lines of context', () => {
+      const newLines = [...oldLines];
+      newLines[9] = 'changed';
+      expect(formatUnifiedDiff(oldLines, newLines, { fromFile: 'tasks.md', toFile: 'tasks.md' })).toEqual([
+        '--- tasks.md',
+        '+++ tasks.md',
+        '@@ -7,7 +7,7 @@',
+        ' line 7',
+        ' line 8',
+        ' line 9',
+        '-line 10',
+        '+changed',
+        ' line 11',
+        ' line 12',
+        ' line 13'
+      ]);
+    });
+
+    test('should split distant changes into separate hunks', () => {
+      const newLines = oldLines.filter(line => line !== 'line 2');
+      newLines.push('line 21');
+      const diff = formatUnifiedDiff(oldLines, newLines);
+      expect(diff.filter(line => line.startsWith('@@'))).toEqual(['@@ -1,5 +1,4 @@', '@@ -18,3 +17,4 @@']);
+    });
+
+    test('should use an empty range for a new file', () => {
+      expect(formatUnifiedDiff([], ['a', 'b'], { fromFile: '/dev/null', toFile: 'new.md' })).toEqual([
+        '--- /dev/null', '+++ new.md', '@@ -0,0 +1,2 @@', '+a', '+b'
+      ]);
+    });
+  });
+});
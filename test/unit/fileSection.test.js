@@ -1,5 +1,5 @@
 // fileSection.test.js
-import { replaceTodoSection } from '../../src/fileSection.js';
+import { replaceTodoSection, extractTodoSection } from '../../src/fileSection.js';
 
 describe('FileSection', () => {
   describe('replaceTodoSection', () => {
@@ -335,4 +335,19 @@ describe('FileSection', () => {
       ]);
     });
   });
+  describe('extractTodoSection', () => {
+    test('should return the section lines without surrounding blank lines', () => {
+      const lines = ['# Project', '', '## TODO', '', '- "a"', '  - "b"', '', '## Notes', 'text'];
+      expect(extractTodoSection(lines)).toEqual(['- "a"', '  - "b"']);
+    });
+
+    test('should return null without a TODO section', () => {
+      expect(extractTodoSection(['# Project', 'text'])).toBe(null);
+    });
+
+    test('should round-trip through replaceTodoSection', () => {
+      const lines = replaceTodoSection(['## TODO', '', '- "old"', '', '## Notes'], ['- "new"']);
+      expect(extractTodoSection(replaceTodoSection(lines, extractTodoSection(lines)))).toEqual(['- "new"']);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,85 @@
+// hierarchy.test.js
+import { annotateHierarchy, getParentNode, isHierarchyField, isDescendantOf, isAncestorOf, nestUnderSelectedAncestors, nestWithAncestors } from '../../src/hierarchy.js';
+import { parseQuery, evaluateWhere, getFieldValue } from '../../src/query.js';
+import { collectTasks, multiKeySort } from '../../src/utils.js';
+
+describe('Hierarchy', () => {
+  function buildTree() {
+    const rings = { id: 'r1', data: { title: 'Rings' }, children: [] };
+    const pistons = { id: 'p1', data: { title: 'Pistons', priority: 'B' }, children: [rings] };
+    const crank = { id: 'c1', data: { title: 'Crank', completed: true }, children: [] };
+    const epic = { id: 'e1', data: { title: 'Engine', priority: 'A' }, children: [pistons, crank] };
+    const paint = { id: 'pa', data: { title: 'Paint' }, children: [] };
+    const roots = annotateHierarchy([epic, paint]);
+    return { roots, epic, pistons, rings, crank, paint };
+  }
+
+  function select(roots, where) {
+    const parsed = parseQuery(`SELECT * FROM f.md WHERE ${where}`).where;
+    return collectTasks(roots).filter(node => evaluateWhere(node, parsed)).map(node => node.id);
+  }
+
+  test('should compute depth, path and parent node', () => {
+    const { rings, epic, paint } = buildTree();
+    expect(epic.depth).toBe(0);
+    expect(rings.depth).toBe(2);
+    expect(rings.path).toBe('Engine / Pistons / Rings');
+    expect(paint.path).toBe('Paint');
+    expect(getParentNode(epic)).toBe(null);
+    expect(getParentNode(getParentNode(rings))).toBe(epic);
+  });
+
+  test('should answer ancestry questions', () => {
+    const { rings, epic, paint } = buildTree();
+    expect(isDescendantOf(rings, 'e1')).toBe(true);
+    expect(isDescendantOf(paint, 'e1')).toBe(false);
+    expect(isDescendantOf(epic, 'e1')).toBe(false);
+    expect(isAncestorOf(epic, 'r1')).toBe(true);
+    expect(isAncestorOf(rings, 'e1')).toBe(false);
+  });
+
+  test('should recognise computed fields', () => {
+    expect(isHierarchyField('depth')).toBe(true);
+    expect(isHierarchyField('parent.priority')).toBe(true);
+    expect(isHierarchyField('parent')).toBe(false);
+    expect(isHierarchyField('title')).toBe(false);
+  });
+
+  test('should read parent fields through getFieldValue', () => {
+    const { rings, epic } = buildTree();
+    expect(getFieldValue(rings, 'parent.title')).toBe('Pistons');
+    expect(getFieldValue(rings, 'parent.parent.priority')).toBe('A');
+    expect(getFieldValue(epic, 'parent.title')).toBe(undefined);
+  });
+
+  test('should evaluate hierarchy predicates in WHERE', () => {
+    const { roots } = buildTree();
+    expect(select(roots, `DESCENDANT OF 'e1' AND completed = false`)).toEqual(['p1', 'r1']);
+    expect(select(roots, `HAS CHILDREN`)).toEqual(['e1', 'p1']);
+    expect(select(roots, `NOT HAS CHILDREN AND depth = 0`)).toEqual(['pa']);
+    expect(select(roots, `ANCESTOR OF 'r1'`)).toEqual(['e1', 'p1']);
+    expect(select(roots, `parent.priority = 'A'`)).toEqual(['p1', 'c1']);
+    expect(select(roots, `path LIKE 'Engine / %'`)).toEqual(['p1', 'r1', 'c1']);
+  });
+
+  test('should sort by depth and parent fields', () => {
+    const { roots } = buildTree();
+    const flat = collectTasks(roots);
+    multiKeySort(flat, [{ key: 'depth', dir: 'desc' }]);
+    expect(flat.map(node => node.id)).toEqual(['r1', 'p1', 'c1', 'e1', 'pa']);
+    multiKeySort(flat, [{ key: 'parent.title', dir: 'asc' }]);
+    expect(flat.map(node => node.id)).toEqual(['e1', 'pa', 'p1', 'c1', 'r1']);
+  });
+
+  test('should nest a selection with or without its unselected ancestors', () => {
+    const { rings, crank, paint } = buildTree();
+    const entry = (node, selected) => ({ id: node.id, selected, children: [] });
+    expect(nestUnderSelectedAncestors([crank, rings, paint], entry).map(e => e.id)).toEqual(['c1', 'r1', 'pa']);
+
+    const roots = nestWithAncestors([crank, rings, paint], entry);
+    expect(roots.map(e => [e.id, e.selected])).toEqual([['e1', false], ['pa', true]]);
+    // Siblings follow the order of their first selected task
+    expect(roots[0].children.map(e => e.id)).toEqual(['c1', 'p1']);
+    expect(roots[0].children[1].children).toEqual([{ id: 'r1', selected: true, children: [] }]);
+  });
+});
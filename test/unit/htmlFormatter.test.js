@@ -0,0 +1,39 @@
+// htmlFormatter.test.js
+import { formatAsHtml } from '../../src/htmlFormatter.js';
+
+describe('HTML Formatter', () => {
+  const rows = [
+    {
+      id: 'e1', parent: null, title: 'Epic <1>', tags: ['ui'], stakeholders: ['Alice'], description: 'Needs **review**',
+      children: [{ id: 's1', parent: 'e1', title: 'Step', weight: 2 }]
+    },
+    { id: 'o1', parent: null, title: 'Other', completed: true }
+  ];
+
+  test('should render a self-contained page with the table columns', () => {
+    const html = formatAsHtml(rows, { title: 'Status & plans', subtitle: 'SELECT * FROM a.md', generated: '2025-10-01T09:00:00Z' });
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Status &amp; plans</title>');
+    expect(html).toContain('<code>SELECT * FROM a.md</code> · 3 rows · generated 2025-10-01T09:00:00Z');
+    expect(html).toContain('<th scope="col">id</th><th scope="col">parent</th><th scope="col">title</th><th scope="col">stakeholders</th><th scope="col">completed</th><th scope="col">weight</th><th scope="col">description</th><th scope="col">tags</th>');
+    expect(html).toContain('<script>');
+    expect(html).not.toContain('<link');
+  });
+
+  test('should nest children, show badges and render Markdown fields', () => {
+    const html = formatAsHtml(rows);
+    expect(html).toContain('<tr data-key="0"><td data-sort="e1">e1</td>');
+    expect(html).toContain('<button class="toggle" type="button" aria-expanded="true" title="Collapse or expand subtasks">▾</button>Epic &lt;1&gt;</td>');
+    expect(html).toContain('<tr data-key="1" data-parent="0">');
+    expect(html).toContain('style="padding-left: 2em" data-sort="Step"><span class="toggle"></span>Step</td>');
+    expect(html).toContain('<span class="badge stakeholders">@Alice</span>');
+    expect(html).toContain('<span class="badge tags">#ui</span>');
+    expect(html).toContain('<td class="markdown" data-sort="Needs **review**"><p>Needs <strong>review</strong></p></td>');
+    expect(html).toContain('<td data-sort="true">✅</td>');
+  });
+
+  test('should leave out toggles for flat rows and report empty results', () => {
+    expect(formatAsHtml([{ 'COUNT(*)': 3 }])).toContain('<tr data-key="0"><td data-sort="3">3</td></tr>');
+    expect(formatAsHtml([])).toContain('<p class="empty">No tasks found.</p>');
+  });
+});
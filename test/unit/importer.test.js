@@ -0,0 +1,104 @@
+// importer.test.js
+import { parseNdjson, parseYamlTasks, parseImport, importRecords, treeToRecords, formatExport } from '../../src/importer.js';
+
+describe('Importer', () => {
+  describe('parseNdjson', () => {
+    test('should read one object per line and skip blank lines', () => {
+      const records = parseNdjson('{"title":"a"}\n\n{"title":"b"}\r\n');
+      expect(records.map(r => r.value.title)).toEqual(['a', 'b']);
+      expect(records[1].where).toBe('Line 3');
+    });
+
+    test('should report the line of invalid input', () => {
+      expect(() => parseNdjson('{"title":"a"}\n{oops')).toThrow('Line 2: invalid JSON');
+      expect(() => parseNdjson('"text"')).toThrow('Line 1: expected a task object, got "text"');
+      expect(() => parseImport('', 'xml')).toThrow("Unsupported import format 'xml'");
+    });
+  });
+
+  describe('importRecords', () => {
+    function existing() {
+      return [{ id: 'x1', data: { title: 'Existing', id: 'x1' }, children: [] }];
+    }
+
+    test('should nest records under imported or existing parents in any order', () => {
+      const roots = existing();
+      const nodes = importRecords(roots, parseNdjson([
+        '{"id":"c1","parent":"p1","title":"Child"}',
+        '{"id":"p1","parent":null,"title":"Parent","tags":"a, b","file":"a.md"}',
+        '{"title":"Under existing","parent":"x1","weight":3}'
+      ].join('\n')));
+      expect(nodes.map(n => n.id).slice(0, 2)).toEqual(['c1', 'p1']);
+      expect(roots.map(n => n.id)).toEqual(['x1', 'p1']);
+      expect(roots[1].children[0].id).toBe('c1');
+      expect(roots[1].data).toEqual({ title: 'Parent', tags: ['a', 'b'], id: 'p1' });
+      expect(roots[0].children[0].data.weight).toBe(3);
+    });
+
+    test('should import records whose parent is not among them or in the file at the top level', () => {
+      // A filtered query result: the subtask s2 was selected, its parent p9 was not
+      const roots = existing();
+      const nodes = importRecords(roots, parseNdjson([
+        '{"id":"e1","parent":null,"title":"Epic","tags":["q4"]}',
+        '{"id":"s1","parent":"e1","title":"Step","tags":["q4"]}',
+        '{"id":"s2","parent":"p9","title":"Orphan","tags":["q4"]}'
+      ].join('\n')));
+      expect(nodes.map(n => n.id)).toEqual(['e1', 's1', 's2']);
+      expect(roots.map(n => n.id)).toEqual(['x1', 'e1', 's2']);
+      expect(roots[1].children.map(n => n.id)).toEqual(['s1']);
+    });
+
+    test('should reject clashing ids, ambiguous parents, cycles and nested values before inserting', () => {
+      const roots = existing();
+      roots.push({ id: 'x2', data: { title: 'Other', id: 'x2' }, children: [] });
+      expect(() => importRecords(roots, parseNdjson('{"id":"x1","title":"Dup"}'))).toThrow("Line 1: task id 'x1' already exists");
+      expect(() => importRecords(roots, parseNdjson('{"title":"a","parent":"x"}'))).toThrow("Line 1: parent 'x' is ambiguous");
+      expect(() => importRecords(roots, parseNdjson('{"id":"a","parent":"b"}\n{"id":"b","parent":"a"}'))).toThrow("parent 'b' makes a cycle");
+      expect(() => importRecords(roots, parseNdjson('{"title":"a","meta":{"k":1}}'))).toThrow("field 'meta' must be a string, number or boolean");
+      expect(roots.length).toBe(2);
+      expect(roots[0].children.length).toBe(0);
+    });
+  });
+
+  describe('YAML', () => {
+    const yaml = [
+      '- id: p1',
+      '  title: Parent',
+      '  children:',
+      '    - title: Child',
+      '      children:',
+      '        - title: Grandchild',
+      '- title: Second'
+    ].join('\n');
+
+    test('should read nested children in document order', () => {
+      const records = parseYamlTasks(yaml);
+      expect(records.map(r => r.where)).toEqual(['Task 1', 'Task 1.1', 'Task 1.1.1', 'Task 2']);
+      expect(records[2].parentRecord).toBe(records[1]);
+      expect(records[3].parentRecord).toBe(null);
+      expect(() => parseYamlTasks('title: a')).toThrow('YAML import expects a list of tasks');
+      expect(() => parseYamlTasks('- title: a\n  children: x')).toThrow('Task 1: children must be a list of tasks');
+      expect(() => parseImport('- 1', 'yaml')).toThrow('Task 1: expected a task mapping');
+    });
+
+    test('should nest imported children under their records', () => {
+      const roots = [];
+      importRecords(roots, parseImport(yaml, 'yaml'));
+      expect(roots.map(n => n.data.title)).toEqual(['Parent', 'Second']);
+      expect(roots[0].id).toBe('p1');
+      expect(roots[0].children[0].children[0].data.title).toBe('Grandchild');
+    });
+
+    test('should export a tree that imports back to the same tree', () => {
+      const roots = [];
+      importRecords(roots, parseYamlTasks(yaml));
+      const records = treeToRecords(roots);
+      expect(records[0].children[0].children[0].title).toBe('Grandchild');
+      expect(records[1].children).toBe(undefined);
+      const copy = [];
+      importRecords(copy, parseYamlTasks(formatExport(roots, 'yaml')));
+      expect(treeToRecords(copy)).toEqual(records);
+      expect(() => formatExport(roots, 'xml')).toThrow("Unsupported export format 'xml'");
+    });
+  });
+});
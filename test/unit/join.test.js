@@ -0,0 +1,56 @@
+// join.test.js
+import { prefixRow, joinRows, projectRow } from '../../src/join.js';
+import { parseQuery } from '../../src/query.js';
+
+describe('Join', () => {
+  const tasks = [
+    { id: 't1', title: 'Build engine', epic: 'e1' },
+    { id: 't2', title: 'Write docs', epic: 'e2' },
+    { id: 't3', title: 'Orphan' }
+  ].map(row => prefixRow(row, 't'));
+  const epics = [
+    { id: 'e1', title: 'Engine' },
+    { id: 'e2', title: 'Docs' }
+  ].map(row => prefixRow(row, 'e'));
+
+  function joinOn(type) {
+    const q = parseQuery(`SELECT * FROM tasks.md t ${type} JOIN epics.md e ON t.epic = e.id`);
+    return q.joins[0];
+  }
+
+  describe('prefixRow', () => {
+    test('should prefix every key with the alias', () => {
+      expect(prefixRow({ id: 'x', title: 'T' }, 'p')).toEqual({ 'p.id': 'x', 'p.title': 'T' });
+    });
+  });
+
+  describe('joinRows', () => {
+    test('should keep only matching pairs for inner joins', () => {
+      const rows = joinRows(tasks, epics, joinOn('INNER'));
+      expect(rows.map(r => [r['t.title'], r['e.title']])).toEqual([
+        ['Build engine', 'Engine'],
+        ['Write docs', 'Docs']
+      ]);
+    });
+
+    test('should keep unmatched left rows for left joins', () => {
+      const rows = joinRows(tasks, epics, joinOn('LEFT'));
+      expect(rows).toHaveLength(3);
+      expect(rows[2]['t.title']).toBe('Orphan');
+      expect(rows[2]['e.title']).toBeUndefined();
+    });
+  });
+
+  describe('projectRow', () => {
+    const row = { 't.id': 't1', 't.title': 'Build engine', 'e.id': 'e1', 'e.title': 'Engine' };
+
+    test('should pick qualified columns in order', () => {
+      expect(projectRow(row, ['e.title', 't.title', 'e.missing'])).toEqual({ 'e.title': 'Engine', 't.title': 'Build engine', 'e.missing': null });
+    });
+
+    test('should expand alias wildcards', () => {
+      expect(projectRow(row, ['e.*'])).toEqual({ 'e.id': 'e1', 'e.title': 'Engine' });
+      expect(projectRow(row, ['*'])).toEqual(row);
+    });
+  });
+});
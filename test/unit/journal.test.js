@@ -0,0 +1,95 @@
+// journal.test.js
+import { journalPath, readJournal, recordWrite, recordUndo, recordRedo, undoState, writeGroup } from '../../src/journal.js';
+import fs from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+
+describe('Journal', () => {
+  const root = path.join(tmpdir(), `todo-journal-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  fs.mkdirSync(root, { recursive: true });
+  const file = path.join(root, 'tasks.md');
+  const other = path.join(root, 'other.md');
+
+  test('should append numbered entries to .todo/journal next to the file', () => {
+    const [first] = recordWrite('query UPDATE', [{ file, before: ['- "a"'], after: ['- "b"'] }]);
+    const [second] = recordWrite('query INSERT', [{ file: other, before: null, after: ['- "x"'] }]);
+    expect(first.seq).toBe(1);
+    expect(second.seq).toBe(2);
+    expect(fs.existsSync(journalPath(root))).toBe(true);
+    expect(fs.existsSync(journalPath(root) + '.lock')).toBe(false);
+    const entries = readJournal(root);
+    expect(entries.map(e => [e.seq, e.files, e.op])).toEqual([[1, ['tasks.md'], 'write'], [2, ['other.md'], 'write']]);
+    expect(entries[0].before).toEqual({ 'tasks.md': ['- "a"'] });
+  });
+
+  test('should track applied and undone writes per file', () => {
+    const [third] = recordWrite('query DELETE', [{ file, before: ['- "b"'], after: [] }]);
+    expect(undoState(file).applied.map(e => e.seq)).toEqual([1, 3]);
+
+    recordUndo(root, third);
+    recordUndo(root, readJournal(root)[0]);
+    let state = undoState(file);
+    expect(state.applied).toEqual([]);
+    expect(state.undone.map(e => e.seq)).toEqual([3, 1]);
+
+    recordRedo(root, readJournal(root)[0]);
+    state = undoState(file);
+    expect(state.applied.map(e => e.seq)).toEqual([1]);
+    expect(state.undone.map(e => e.seq)).toEqual([3]);
+    expect(undoState(other).applied.map(e => e.seq)).toEqual([2]);
+  });
+
+  test('should drop the redo list on a new write', () => {
+    recordWrite('query INSERT', [{ file, before: ['- "b"'], after: ['- "b"', '- "c"'] }]);
+    expect(undoState(file).undone).toEqual([]);
+  });
+
+  test('should record a write to several files as one entry and undo it as a whole', () => {
+    const [move] = recordWrite('query MOVE', [
+      { file, before: ['- "b"', '- "c"'], after: ['- "b"'] },
+      { file: other, before: ['- "x"'], after: ['- "x"', '- "c"'] }
+    ]);
+    expect(move.files).toEqual(['tasks.md', 'other.md']);
+    expect(move.after).toEqual({ 'tasks.md': ['- "b"'], 'other.md': ['- "x"', '- "c"'] });
+    expect(writeGroup(file, move, 'applied')).toEqual([{ file, entry: move }, { file: other, entry: move }]);
+
+    recordUndo(root, move);
+    expect(undoState(file).undone.map(e => e.seq)).toEqual([move.seq]);
+    expect(undoState(other).undone.map(e => e.seq)).toEqual([move.seq]);
+    recordRedo(root, move);
+  });
+
+  test('should refuse to undo part of a write when another of its files moved on', () => {
+    const move = undoState(file).applied.at(-1);
+    recordWrite('query UPDATE', [{ file: other, before: ['- "x"', '- "c"'], after: ['- "y"', '- "c"'] }]);
+    expect(() => writeGroup(file, move, 'applied')).toThrow(`Entry #${move.seq} also wrote ${other}`);
+  });
+
+  test('should link the entries of a write spanning directories by a batch id', () => {
+    const sub = path.join(root, 'sub');
+    const far = path.join(sub, 'far.md');
+    const [near, away] = recordWrite('query MOVE', [
+      { file, before: ['- "b"'], after: [] },
+      { file: far, before: null, after: ['- "b"'] }
+    ]);
+    expect(near.batch).toBe(away.batch);
+    expect(near.others).toEqual([path.join('sub', 'far.md')]);
+    expect(away.others).toEqual([path.join('..', 'tasks.md')]);
+    expect(readJournal(sub).map(e => e.seq)).toEqual([1]);
+    expect(writeGroup(file, near, 'applied')).toEqual([{ file, entry: near }, { file: far, entry: away }]);
+
+    recordUndo(sub, away);
+    expect(() => writeGroup(file, near, 'applied')).toThrow(`also wrote ${far}`);
+  });
+
+  test('should return an empty journal for directories without one', () => {
+    expect(readJournal(path.join(root, 'missing'))).toEqual([]);
+  });
+
+  test('should report corrupt entries', () => {
+    fs.appendFileSync(journalPath(root), 'not json\n', 'utf8');
+    expect(() => readJournal(root)).toThrow('Corrupt journal entry');
+  });
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
@@ -0,0 +1,39 @@
+// markdown.test.js
+import { escapeHtml, renderMarkdown } from '../../src/markdown.js';
+
+describe('Markdown', () => {
+  test('should escape HTML special characters', () => {
+    expect(escapeHtml(`<a href="x">Tom & 'Jerry'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; &#39;Jerry&#39;&lt;/a&gt;');
+  });
+
+  test('should render paragraphs, headings, lists, quotes and code blocks', () => {
+    const html = renderMarkdown([
+      '## Plan',
+      'First line',
+      'same paragraph.',
+      '',
+      '- one',
+      '- **two**',
+      '1. first',
+      '> quoted',
+      '```',
+      'a < b',
+      '```'
+    ].join('\n'));
+    expect(html).toBe([
+      '<h2>Plan</h2>',
+      '<p>First line same paragraph.</p>',
+      '<ul><li>one</li><li><strong>two</strong></li></ul>',
+      '<ol><li>first</li></ol>',
+      '<blockquote><p>quoted</p></blockquote>',
+      '<pre><code>a &lt; b</code></pre>'
+    ].join('\n'));
+  });
+
+  test('should render inline markup and keep only safe links', () => {
+    expect(renderMarkdown('Use `*x*` with *care*, see [docs](https://example.com/a?b=1&c=2)')).toBe(
+      '<p>Use <code>*x*</code> with <em>care</em>, see <a href="https://example.com/a?b=1&amp;c=2">docs</a></p>'
+    );
+    expect(renderMarkdown('[bad](javascript:alert) [ok](notes.md) <script>')).toBe('<p>bad <a href="notes.md">ok</a> &lt;script&gt;</p>');
+  });
+});
@@ -0,0 +1,59 @@
+// planner.test.js
+import { planSelect, describeStep, executePlan } from '../../src/planner.js';
+import { parseQuery } from '../../src/query.js';
+
+describe('Planner', () => {
+  const tasks = [
+    { id: 't1', data: { title: 'one', weight: 3 } },
+    { id: 't2', data: { title: 'two', weight: 1 } },
+    { id: 't3', data: { title: 'three', weight: 3 } },
+    { id: 't4', data: { title: 'four', weight: 5, completed: true } },
+    { id: 't5', data: { title: 'five', weight: 2 } }
+  ];
+  const source = {
+    scan: () => tasks,
+    project: (node, fields) => ({ id: node.id, ...Object.fromEntries(fields.map(f => [f, node.data[f]])) })
+  };
+  const run = (query, options) => executePlan(planSelect(parseQuery(query), options), source);
+
+  test('should order steps as filter, sort, seek, offset, limit, project', () => {
+    const plan = planSelect(parseQuery(`SELECT title FROM a.md WHERE weight > 1 ORDER BY weight DESC LIMIT 2 OFFSET 1`), { after: 't1' });
+    expect(plan.steps.map(s => s.op)).toEqual(['scan', 'filter', 'sort', 'seek', 'offset', 'limit', 'project']);
+    expect(plan.steps.map(describeStep)).toEqual([
+      'a.md', 'weight > 1', 'weight DESC', 'rows after task t1 in sort order', 'skip 1', 'first 2', 'title'
+    ]);
+  });
+
+  test('should plan grouping, joins and INTO', () => {
+    const grouped = planSelect(parseQuery(`SELECT priority, COUNT(*) AS n FROM a.md GROUP BY priority HAVING n > 1 ORDER BY n`));
+    expect(grouped.steps.map(s => s.op)).toEqual(['scan', 'group', 'having', 'sort', 'project']);
+    expect(describeStep(grouped.steps[1])).toBe('BY priority: COUNT(*) AS n');
+
+    const joined = planSelect(parseQuery(`SELECT t.title FROM a.md t LEFT JOIN b.md e ON t.epic = e.id WHERE NOT (e.done = true OR t.x IS NULL)`));
+    expect(joined.steps.map(describeStep)).toEqual(['a.md AS t', 'LEFT JOIN b.md AS e ON t.epic = e.id', 'NOT (e.done = true OR t.x IS NULL)', 't.title']);
+
+    expect(planSelect(parseQuery(`SELECT * FROM a.md LIMIT 1 INTO b.md`)).steps.map(s => s.op)).toEqual(['scan', 'limit', 'into']);
+  });
+
+  test('should filter before sorting and limit after', () => {
+    const { rows, more } = run(`SELECT title FROM a.md WHERE completed = false ORDER BY weight DESC LIMIT 2`);
+    expect(rows.map(r => r.id)).toEqual(['t1', 't3']);
+    expect(more).toBe(true);
+    expect(run(`SELECT title FROM a.md ORDER BY weight LIMIT 5 OFFSET 3`).more).toBe(false);
+  });
+
+  test('should keep LIMIT 0 and OFFSET 0 steps and reject a negative limit', () => {
+    const plan = planSelect(parseQuery(`SELECT title FROM a.md LIMIT 0 OFFSET 0`));
+    expect(plan.steps.map(describeStep)).toEqual(['a.md', 'skip 0', 'first 0', 'title']);
+    expect(run(`SELECT title FROM a.md LIMIT 0`)).toEqual({ rows: [], more: true });
+    expect(() => run(`SELECT title FROM a.md LIMIT -1`)).toThrow('LIMIT must be a non-negative integer');
+  });
+
+  test('should seek past the cursor in sort order, breaking ties by scan order', () => {
+    expect(run(`SELECT title FROM a.md ORDER BY weight DESC`, { after: 't1' }).rows.map(r => r.id)).toEqual(['t3', 't5', 't2']);
+    // t4 is filtered out but still marks a place in the order
+    expect(run(`SELECT title FROM a.md WHERE completed = false ORDER BY weight DESC`, { after: 't4' }).rows.map(r => r.id)).toEqual(['t1', 't3', 't5', 't2']);
+    expect(run(`SELECT title FROM a.md`, { after: 't3' }).rows.map(r => r.id)).toEqual(['t4', 't5']);
+    expect(() => run(`SELECT title FROM a.md`, { after: 'nope' })).toThrow("--after 'nope' does not match any task id");
+  });
+});
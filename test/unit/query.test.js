@@ -0,0 +1,504 @@
+// query.test.js
+import { tokenizeQuery, parseQuery, splitStatements, parseScript, bindParams, parseParamValue, evaluateWhere, evaluateExpression, likeToRegExp, formatCondition, formatSortSpec, parseOrderBy, resolveHierarchyIds } from '../../src/query.js';
+
+describe('Query', () => {
+  describe('tokenizeQuery', () => {
+    test('should split words, strings, operators and punctuation', () => {
+      const tokens = tokenizeQuery(`SELECT title, due FROM tasks.md WHERE (weight>=5) AND title = 'It''s done'`);
+      expect(tokens.map(t => t.value)).toEqual([
+        'SELECT', 'title', ',', 'due', 'FROM', 'tasks.md', 'WHERE',
+        '(', 'weight', '>=', '5', ')', 'AND', 'title', '=', "It's done"
+      ]);
+      expect(tokens[tokens.length - 1].type).toBe('string');
+      expect(tokens[9].type).toBe('op');
+    });
+
+    test('should keep quoted keywords as strings', () => {
+      const tokens = tokenizeQuery(`title = 'AND'`);
+      expect(tokens[2]).toEqual({ type: 'string', value: 'AND' });
+    });
+
+    test('should throw on unterminated strings', () => {
+      expect(() => tokenizeQuery(`title = 'oops`)).toThrow('Unterminated string');
+    });
+
+    test('should read regex literals after MATCHES', () => {
+      const tokens = tokenizeQuery('title MATCHES /fix bug\\/s/i');
+      expect(tokens[2]).toEqual({ type: 'regex', value: 'fix bug\\/s', flags: 'i' });
+    });
+  });
+
+  describe('parseQuery', () => {
+    test('should parse a single comparison into an AST', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE priority = 'A'`);
+      expect(q.where).toEqual({ type: 'compare', field: 'priority', op: '=', value: 'A' });
+    });
+
+    test('should give AND precedence over OR', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE a = 1 OR b = 2 AND c = 3`);
+      expect(q.where.type).toBe('or');
+      expect(q.where.left.field).toBe('a');
+      expect(q.where.right.type).toBe('and');
+    });
+
+    test('should honour parentheses and NOT', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE NOT (a = 1 OR b = 2) AND c = 3`);
+      expect(q.where.type).toBe('and');
+      expect(q.where.left.type).toBe('not');
+      expect(q.where.left.operand.type).toBe('or');
+    });
+
+    test('should parse IS NULL and IS NOT NULL', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE due IS NOT NULL AND notes IS NULL`);
+      expect(q.where.left).toEqual({ type: 'null', field: 'due', negated: true });
+      expect(q.where.right).toEqual({ type: 'null', field: 'notes', negated: false });
+    });
+
+    test('should stop WHERE at ORDER BY, LIMIT and INTO', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE a = 1 ORDER BY due DESC LIMIT 5 INTO out.md`);
+      expect(q.where.type).toBe('compare');
+      expect(q.orderBy).toEqual([{ key: 'due', dir: 'desc' }]);
+      expect(q.limit).toBe(5);
+      expect(q.into).toBe('out.md');
+    });
+
+    test('should parse NULLS FIRST/LAST, COLLATE and FIELD() in ORDER BY', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md ORDER BY due ASC NULLS LAST, title COLLATE natural DESC, FIELD(status, 'doing', 'todo') LIMIT 2`);
+      expect(q.orderBy).toEqual([
+        { key: 'due', dir: 'asc', nulls: 'last' },
+        { key: 'title', collate: 'natural', dir: 'desc' },
+        { key: 'status', values: ['doing', 'todo'], dir: 'asc' }
+      ]);
+      expect(q.orderBy.map(formatSortSpec).join(', ')).toBe(`due ASC NULLS LAST, title COLLATE NATURAL DESC, FIELD(status, 'doing', 'todo') ASC`);
+      expect(() => parseQuery(`SELECT * FROM a.md ORDER BY title COLLATE klingon`)).toThrow("Unknown collation 'klingon'");
+      expect(() => parseQuery(`SELECT * FROM a.md ORDER BY due NULLS`)).toThrow('Expected FIRST or LAST after NULLS');
+      expect(() => parseQuery(`SELECT * FROM a.md ORDER BY FIELD(status)`)).toThrow('FIELD(status) needs at least one value');
+    });
+
+    test('should parse legacy orderby keys with parseOrderBy', () => {
+      expect(parseOrderBy('priority desc, due nulls last')).toEqual([
+        { key: 'priority', dir: 'desc' },
+        { key: 'due', dir: 'asc', nulls: 'last' }
+      ]);
+      expect(() => parseOrderBy('due LIMIT 2')).toThrow("Invalid orderby 'due LIMIT 2'");
+    });
+
+    test('should parse OFFSET after LIMIT or on its own', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE a = 1 ORDER BY due LIMIT 20 OFFSET 40`);
+      expect(q.orderBy).toEqual([{ key: 'due', dir: 'asc' }]);
+      expect(q.limit).toBe(20);
+      expect(q.offset).toBe(40);
+      expect(parseQuery(`SELECT * FROM tasks.md WHERE a = 1 OFFSET 3`).offset).toBe(3);
+      expect(() => parseQuery(`SELECT * FROM tasks.md OFFSET -1`)).toThrow('OFFSET must be a non-negative integer');
+      expect(() => parseQuery(`SELECT * FROM tasks.md OFFSET 2.5`)).toThrow('OFFSET must be a non-negative integer');
+      expect(parseQuery(`SELECT * FROM tasks.md LIMIT 0`).limit).toBe(0);
+      expect(() => parseQuery(`SELECT * FROM tasks.md LIMIT -1`)).toThrow('LIMIT must be a non-negative integer');
+      expect(() => parseQuery(`SELECT * FROM tasks.md LIMIT 2.5`)).toThrow('LIMIT must be a non-negative integer');
+    });
+
+    test('should parse EXPLAIN SELECT', () => {
+      const q = parseQuery(`EXPLAIN SELECT title FROM tasks.md WHERE a = 1 LIMIT 5`);
+      expect(q.command).toBe('SELECT');
+      expect(q.explain).toBe(true);
+      expect(q.limit).toBe(5);
+      expect(() => parseQuery(`EXPLAIN DELETE FROM tasks.md WHERE a = 1`)).toThrow('EXPLAIN supports only SELECT queries');
+    });
+
+    test('should format conditions back as query text', () => {
+      const text = `a IN (1, 'it''s') AND NOT b LIKE 'x%' AND (c BETWEEN 1 AND 2 OR d MATCHES /x/i) AND e IS NOT NULL AND DESCENDANT OF 'e1' AND f = :name`;
+      expect(formatCondition(parseQuery(`SELECT * FROM a.md WHERE ${text}`).where)).toBe(text);
+      const calls = `due < DATE_ADD(TODAY(), 7d) AND at BETWEEN NOW() AND DATE_ADD(NOW(), 90m)`;
+      expect(formatCondition(parseQuery(`SELECT * FROM a.md WHERE ${calls}`).where)).toBe(calls);
+      expect(() => parseQuery(`SELECT * FROM a.md WHERE due < DATE_ADD(TODAY())`)).toThrow('DATE_ADD() takes 2 arguments, got 1');
+    });
+
+    test('should parse multiple files and globs in FROM', () => {
+      const q = parseQuery(`SELECT * FROM 'projects/**/*.task.md', b.md WHERE stakeholders CONTAINS 'Alice'`);
+      expect(q.files).toEqual(['projects/**/*.task.md', 'b.md']);
+      expect(parseQuery(`UPDATE a.md, b.md SET x = 1`).files).toEqual(['a.md', 'b.md']);
+      expect(parseQuery(`DELETE FROM a.md, b.md WHERE x = 1`).files).toEqual(['a.md', 'b.md']);
+      expect(() => parseQuery(`INSERT INTO '*.md' SET title = 'x'`)).toThrow('INSERT requires a single file');
+    });
+
+    test('should parse JOINs with aliases and field references', () => {
+      const q = parseQuery(`SELECT t.title, e.title FROM tasks.md t LEFT OUTER JOIN epics.md AS e ON t.epic = e.id JOIN people.task.md ON t.stakeholders CONTAINS people.name WHERE e.title LIKE 'E%' ORDER BY e.title`);
+      expect(q.alias).toBe('t');
+      expect(q.joins).toEqual([
+        { type: 'left', file: 'epics.md', alias: 'e', on: { type: 'compare', field: 't.epic', op: '=', ref: 'e.id' } },
+        { type: 'inner', file: 'people.task.md', alias: 'people', on: { type: 'compare', field: 't.stakeholders', op: 'CONTAINS', ref: 'people.name' } }
+      ]);
+      expect(q.where.field).toBe('e.title');
+    });
+
+    test('should require qualified field names in JOIN queries', () => {
+      expect(() => parseQuery(`SELECT title FROM tasks.md t JOIN epics.md e ON t.epic = e.id`)).toThrow("Field 'title' must be qualified");
+      expect(() => parseQuery(`SELECT t.title FROM tasks.md t JOIN epics.md e ON t.epic = e.id WHERE done = true`)).toThrow("Field 'done' must be qualified");
+      expect(() => parseQuery(`SELECT t.title FROM tasks.md t JOIN epics.md t ON t.epic = t.id`)).toThrow("Duplicate table alias 't'");
+      expect(() => parseQuery(`SELECT t.title FROM tasks.md t INTO out.md`)).toThrow('INTO cannot be used with JOIN');
+    });
+
+    test('should treat alias-like words as literals outside JOIN queries', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE version = e.id`);
+      expect(q.where).toEqual({ type: 'compare', field: 'version', op: '=', value: 'e.id' });
+    });
+
+    test('should parse WHERE for UPDATE and DELETE', () => {
+      const u = parseQuery(`UPDATE tasks.md SET priority = 'A', weight = 3 WHERE a = 1 AND b = 2`);
+      expect(u.set).toEqual([{ key: 'priority', value: 'A' }, { key: 'weight', value: '3' }]);
+      expect(u.where.type).toBe('and');
+      const d = parseQuery(`DELETE FROM tasks.md WHERE completed = true OR skipped = true`);
+      expect(d.where.type).toBe('or');
+    });
+
+    test('should parse IN, LIKE, BETWEEN and MATCHES', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE priority IN ('A', 'B') AND title LIKE 'Fix%' AND due BETWEEN '2025-10-01' AND '2025-10-31' AND title MATCHES /auth/i`);
+      const and1 = q.where.left.left.left;
+      expect(and1).toEqual({ type: 'in', field: 'priority', values: ['A', 'B'] });
+      expect(q.where.left.left.right).toEqual({ type: 'like', field: 'title', pattern: 'Fix%' });
+      expect(q.where.left.right).toEqual({ type: 'between', field: 'due', low: '2025-10-01', high: '2025-10-31' });
+      expect(q.where.right).toEqual({ type: 'matches', field: 'title', pattern: 'auth', flags: 'i' });
+    });
+
+    test('should parse negated predicates', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE tags NOT IN ('a') OR title NOT LIKE 'x%'`);
+      expect(q.where.left).toEqual({ type: 'not', operand: { type: 'in', field: 'tags', values: ['a'] } });
+      expect(q.where.right.operand.type).toBe('like');
+      expect(() => parseQuery(`SELECT * FROM tasks.md WHERE title NOT = 'x'`)).toThrow('Expected IN, LIKE');
+    });
+
+    test('should reject invalid regular expressions', () => {
+      expect(() => parseQuery('SELECT * FROM tasks.md WHERE title MATCHES /(/')).toThrow('Invalid regular expression');
+    });
+
+    test('should parse aggregates, GROUP BY and HAVING', () => {
+      const q = parseQuery(`SELECT stakeholders, COUNT(*), SUM(weight) AS total FROM tasks.md WHERE completed = false GROUP BY stakeholders HAVING COUNT(*) > 3 ORDER BY total DESC`);
+      expect(q.fields).toEqual(['stakeholders', 'COUNT(*)', 'total']);
+      expect(q.groupBy).toEqual(['stakeholders']);
+      expect(q.aggregates).toEqual([
+        { fn: 'COUNT', field: '*', label: 'COUNT(*)', hidden: false },
+        { fn: 'SUM', field: 'weight', label: 'total', hidden: false }
+      ]);
+      expect(q.having).toEqual({ type: 'compare', field: 'COUNT(*)', op: '>', value: 3 });
+      expect(q.orderBy).toEqual([{ key: 'total', dir: 'desc' }]);
+    });
+
+    test('should register aggregates used only in HAVING or ORDER BY as hidden', () => {
+      const q = parseQuery(`SELECT tags FROM tasks.md GROUP BY tags HAVING AVG(weight) > 2 ORDER BY COUNT(*) DESC`);
+      expect(q.aggregates.map(a => [a.label, a.hidden])).toEqual([['AVG(weight)', true], ['COUNT(*)', true]]);
+    });
+
+    test('should validate aggregate queries', () => {
+      expect(() => parseQuery(`SELECT title, COUNT(*) FROM tasks.md`)).toThrow("Field 'title' must appear in GROUP BY");
+      expect(() => parseQuery(`SELECT * FROM tasks.md GROUP BY tags`)).toThrow('SELECT * cannot be combined');
+      expect(() => parseQuery(`SELECT title FROM tasks.md WHERE COUNT(*) > 1`)).toThrow('not allowed here');
+      expect(() => parseQuery(`SELECT SUM(*) FROM tasks.md`)).toThrow('SUM(*) is not supported');
+      expect(() => parseQuery(`SELECT title FROM tasks.md HAVING title = 'x'`)).toThrow('HAVING requires GROUP BY');
+      expect(() => parseQuery(`SELECT COUNT(*) FROM tasks.md INTO out.md`)).toThrow('INTO cannot be used');
+      expect(() => parseQuery(`SELECT tags, COUNT(*) FROM tasks.md GROUP BY tags HAVING total > 1`)).toThrow("HAVING field 'total' is neither a GROUP BY key nor an aggregate");
+      expect(() => parseQuery(`SELECT COUNT(*) FROM tasks.md HAVING weight > 1`)).toThrow("HAVING field 'weight'");
+      expect(parseQuery(`SELECT tags, COUNT(*) AS n FROM tasks.md GROUP BY tags HAVING n > 1 AND tags = 'ui'`).having.type).toBe('and');
+    });
+
+    test('should parse hierarchy predicates', () => {
+      const q = parseQuery(`SELECT * FROM tasks.md WHERE DESCENDANT OF 'a1b2c3d4' AND NOT HAS CHILDREN OR ANCESTOR OF 'e1'`);
+      expect(q.where).toEqual({
+        type: 'or',
+        left: { type: 'and', left: { type: 'descendant', id: 'a1b2c3d4' }, right: { type: 'not', operand: { type: 'hasChildren' } } },
+        right: { type: 'ancestor', id: 'e1' }
+      });
+      expect(parseQuery(`SELECT title FROM tasks.md WHERE parent.priority = 'A'`).where.field).toBe('parent.priority');
+      const resolved = resolveHierarchyIds(q.where, id => `${id}-full`);
+      expect(resolved.left.left.id).toBe('a1b2c3d4-full');
+      expect(resolved.right.id).toBe('e1-full');
+      expect(() => resolveHierarchyIds(q.where, id => { throw new Error(`No task id matching prefix '${id}'`); }))
+        .toThrow("DESCENDANT OF 'a1b2c3d4': No task id matching prefix 'a1b2c3d4'");
+    });
+
+    test('should reject hierarchy predicates in JOIN queries and HAVING', () => {
+      expect(() => parseQuery(`SELECT t.title FROM tasks.md t WHERE HAS CHILDREN`)).toThrow('cannot be used with JOIN');
+      expect(() => parseQuery(`SELECT COUNT(*) FROM tasks.md HAVING DESCENDANT OF 'e1'`)).toThrow('cannot be used in HAVING');
+    });
+
+    test('should parse SET value expressions', () => {
+      const u = parseQuery(`UPDATE tasks.md SET weight = weight + 1, title = CONCAT('[WIP] ', title), due = due + 7d, priority = A WHERE id = 'x'`);
+      expect(u.set).toEqual([
+        { key: 'weight', expr: { type: 'binary', op: '+', left: { type: 'field', name: 'weight' }, right: { type: 'literal', value: 1 } } },
+        { key: 'title', expr: { type: 'call', fn: 'CONCAT', args: [{ type: 'literal', value: '[WIP] ' }, { type: 'field', name: 'title' }] } },
+        { key: 'due', expr: { type: 'binary', op: '+', left: { type: 'field', name: 'due' }, right: { type: 'duration', days: 7 } } },
+        { key: 'priority', value: 'A' }
+      ]);
+      expect(u.where).toEqual({ type: 'compare', field: 'id', op: '=', value: 'x' });
+      expect(() => parseQuery(`UPDATE tasks.md SET title = UPPER(title)`)).toThrow('Unknown function UPPER()');
+      expect(() => parseQuery(`UPDATE tasks.md SET weight = weight +`)).toThrow("Expected value for 'weight'");
+    });
+
+    test('should parse INSERT positions', () => {
+      const q = parseQuery(`INSERT INTO tasks.md UNDER 'a1b2c3d4' SET title = 'Design ECS'`);
+      expect(q.position).toEqual({ type: 'under', id: 'a1b2c3d4' });
+      expect(q.set).toEqual([{ key: 'title', value: 'Design ECS' }]);
+      expect(parseQuery(`INSERT INTO tasks.md before abc SET title = 'x'`).position).toEqual({ type: 'before', id: 'abc' });
+      expect(parseQuery(`INSERT INTO tasks.md SET title = 'x'`).position).toBe(undefined);
+      expect(() => parseQuery(`INSERT INTO tasks.md AFTER SET title = 'x'`)).toThrow("Expected 'SET'");
+    });
+
+    test('should parse RETURNING', () => {
+      const u = parseQuery(`UPDATE tasks.md SET weight = weight + 1 WHERE id = 'x' RETURNING id, title, priority`);
+      expect(u.returning).toEqual(['id', 'title', 'priority']);
+      expect(u.set[0].expr.type).toBe('binary');
+      expect(parseQuery(`UPDATE tasks.md SET priority = 'A' RETURNING *`).returning).toEqual(['*']);
+      expect(parseQuery(`DELETE FROM tasks.md RETURNING path`).returning).toEqual(['path']);
+      const i = parseQuery(`INSERT INTO tasks.md SET title = 'x' RETURNING id`);
+      expect(i.set).toEqual([{ key: 'title', value: 'x' }]);
+      expect(i.returning).toEqual(['id']);
+      expect(parseQuery(`DELETE FROM tasks.md WHERE id = 'x'`).returning).toBe(undefined);
+      expect(() => parseQuery(`DELETE FROM tasks.md WHERE id = 'x' RETURNING`)).toThrow('Expected field name');
+    });
+
+    test('should parse MOVE', () => {
+      const q = parseQuery(`MOVE FROM tasks.md WHERE id = 'abc' UNDER 'def'`);
+      expect(q.command).toBe('MOVE');
+      expect(q.files).toEqual(['tasks.md']);
+      expect(q.where).toEqual({ type: 'compare', field: 'id', op: '=', value: 'abc' });
+      expect(q.position).toEqual({ type: 'under', id: 'def' });
+      expect(parseQuery(`MOVE FROM a.md, b.md WHERE HAS CHILDREN TO ROOT`).position).toEqual({ type: 'root' });
+      const into = parseQuery(`MOVE FROM a.md WHERE tags CONTAINS 'ui' BEFORE 'ghi' INTO b.md`);
+      expect(into.position).toEqual({ type: 'before', id: 'ghi' });
+      expect(into.into).toBe('b.md');
+      expect(() => parseQuery(`MOVE FROM a.md WHERE id = 'abc'`)).toThrow('Expected UNDER, BEFORE, AFTER or TO ROOT');
+      expect(() => parseQuery(`MOVE FROM a.md TO 'x'`)).toThrow("Expected 'ROOT'");
+      expect(() => parseQuery(`MOVE FROM a.md TO ROOT INTO '*.md'`)).toThrow('requires a single file');
+    });
+
+    test('should reject unbalanced parentheses and trailing tokens', () => {
+      expect(() => parseQuery(`SELECT * FROM tasks.md WHERE (a = 1`)).toThrow("Expected ')'");
+      expect(() => parseQuery(`SELECT * FROM tasks.md WHERE a = 1 b`)).toThrow("Unexpected 'b'");
+      expect(() => parseQuery(`SELECT * FROM tasks.md WHERE a`)).toThrow('Expected operator');
+    });
+  });
+
+  describe('bindParams', () => {
+    test('should tokenize ? and :name placeholders', () => {
+      const tokens = tokenizeQuery(`SELECT * FROM a?.md WHERE a = ? AND b IN (?, :name)`);
+      expect(tokens[3]).toEqual({ type: 'word', value: 'a?.md' });
+      expect(tokens.filter(t => t.type === 'param')).toEqual([
+        { type: 'param', value: '?', name: '1' },
+        { type: 'param', value: '?', name: '2' },
+        { type: 'param', value: ':name', name: 'name' }
+      ]);
+    });
+
+    test('should bind values verbatim after parsing', () => {
+      const q = parseQuery(`UPDATE a.md SET title = :title, weight = weight + ? WHERE title LIKE :pattern AND DESCENDANT OF ?`);
+      const bound = bindParams(q, { title: `It's "done" \\n; really`, 1: 2, pattern: '%x%', 2: 'e1' });
+      expect(bound.set[0]).toEqual({ key: 'title', expr: { type: 'literal', value: `It's "done" \\n; really` } });
+      expect(bound.set[1].expr.right).toEqual({ type: 'literal', value: 2 });
+      expect(bound.where.left).toEqual({ type: 'like', field: 'title', pattern: '%x%' });
+      expect(bound.where.right).toEqual({ type: 'descendant', id: 'e1' });
+      expect(q.set[0].expr).toEqual({ type: 'param', name: 'title' });
+    });
+
+    test('should bind WHERE values and positions', () => {
+      const s = bindParams(parseQuery(`SELECT * FROM a.md WHERE weight BETWEEN ? AND ? OR id IN (:a, :b)`), { 1: 1, 2: 5, a: 'x', b: 'y' });
+      expect(s.where.left).toEqual({ type: 'between', field: 'weight', low: 1, high: 5 });
+      expect(s.where.right.values).toEqual(['x', 'y']);
+      const i = bindParams(parseQuery(`INSERT INTO a.md UNDER :parent SET title = 'x'`), { parent: 'e1' });
+      expect(i.position).toEqual({ type: 'under', id: 'e1' });
+    });
+
+    test('should bind placeholders inside function calls', () => {
+      const q = bindParams(parseQuery(`SELECT * FROM a.md WHERE due < DATE_ADD(:start, 2d)`), { start: '2025-09-01' });
+      expect(evaluateWhere({ id: 'x', data: { due: '2025-09-02' } }, q.where)).toBe(true);
+      expect(evaluateWhere({ id: 'x', data: { due: '2025-09-03' } }, q.where)).toBe(false);
+    });
+
+    test('should bind $NAME and ${NAME} environment variables', () => {
+      const q = parseQuery(`SELECT * FROM a.md WHERE stakeholders CONTAINS $USER AND team = \${TEAM_NAME}`);
+      expect(q.where.left.value).toEqual({ type: 'param', name: '$USER' });
+      const bound = bindParams(q, { $USER: 'bob', $TEAM_NAME: 'core' });
+      expect(bound.where.left.value).toBe('bob');
+      expect(bound.where.right.value).toBe('core');
+      expect(() => bindParams(q, { $USER: 'bob' })).toThrow('Environment variable TEAM_NAME is not set');
+      expect(() => tokenizeQuery('SELECT * FROM a.md WHERE a = ${X')).toThrow('Invalid variable reference');
+    });
+
+    test('should reject missing values and invalid patterns', () => {
+      expect(() => bindParams(parseQuery(`SELECT * FROM a.md WHERE a = :missing`), {})).toThrow('No value bound for placeholder :missing');
+      expect(() => bindParams(parseQuery(`SELECT * FROM a.md WHERE a = ?`), {})).toThrow('placeholder ? #1');
+      expect(() => bindParams(parseQuery(`SELECT * FROM a.md WHERE a MATCHES ?`), { 1: '(' })).toThrow('Invalid regular expression');
+    });
+
+    test('should convert --param strings like literals without escapes', () => {
+      expect(parseParamValue('42')).toBe(42);
+      expect(parseParamValue('true')).toBe(true);
+      expect(parseParamValue(' ')).toBe(' ');
+      expect(parseParamValue('a\\nb')).toBe('a\\nb');
+    });
+  });
+
+  describe('parseScript', () => {
+    test('should split at semicolons outside strings, regexes and comments', () => {
+      const script = "-- cleanup\nUPDATE a.md SET title = 'x;y' WHERE title MATCHES /a;b/i;\n\nDELETE FROM a.md -- not; here\n  WHERE id = 'z';";
+      expect(splitStatements(script)).toEqual([
+        { text: "UPDATE a.md SET title = 'x;y' WHERE title MATCHES /a;b/i", line: 2 },
+        { text: "DELETE FROM a.md \n  WHERE id = 'z'", line: 4 }
+      ]);
+    });
+
+    test('should parse transaction control and queries', () => {
+      const statements = parseScript("BEGIN TRANSACTION; DELETE FROM a.md WHERE id = 'x'; rollback; COMMIT WORK");
+      expect(statements.map(s => s.query.command)).toEqual(['BEGIN', 'DELETE', 'ROLLBACK', 'COMMIT']);
+      expect(statements[1].query.files).toEqual(['a.md']);
+    });
+
+    test('should report the line of a failing statement', () => {
+      expect(() => parseScript('SELECT * FROM a.md;\n\nSELEC x')).toThrow('Line 3: Unknown command: SELEC');
+      expect(() => parseScript('COMMIT now')).toThrow("Unexpected 'now' after COMMIT");
+    });
+  });
+
+  describe('likeToRegExp', () => {
+    test('should translate wildcards and escapes', () => {
+      expect(likeToRegExp('a%b_c').test('aXYZbQc')).toBe(true);
+      expect(likeToRegExp('100\\%').test('100%')).toBe(true);
+      expect(likeToRegExp('100\\%').test('1000')).toBe(false);
+      expect(likeToRegExp('a.b').test('axb')).toBe(false);
+    });
+  });
+
+  describe('evaluateExpression', () => {
+    const node = { id: 'n1', data: { weight: 2, due: '2025-12-28', tags: ['rpc'], stakeholders: ['Alice', 'Bob'], title: 'Fix' } };
+
+    function evaluate(expression) {
+      return evaluateExpression(node, parseQuery(`UPDATE f.md SET x = ${expression}`).set[0].expr);
+    }
+
+    test('should do arithmetic on numbers', () => {
+      expect(evaluate('weight + 1')).toBe(3);
+      expect(evaluate('weight - 5 + 1')).toBe(-2);
+      expect(evaluate('missing + 1')).toBe(null);
+    });
+
+    test('should add and remove array elements', () => {
+      expect(evaluate(`tags + 'urgent'`)).toEqual(['rpc', 'urgent']);
+      expect(evaluate(`tags + 'rpc'`)).toEqual(['rpc']);
+      expect(evaluate(`stakeholders - 'Bob'`)).toEqual(['Alice']);
+      expect(node.data.stakeholders).toEqual(['Alice', 'Bob']);
+    });
+
+    test('should treat missing array fields as empty', () => {
+      const bare = { id: 'n2', data: {} };
+      expect(evaluateExpression(bare, parseQuery(`UPDATE f.md SET tags = tags + 'a'`).set[0].expr)).toEqual(['a']);
+    });
+
+    test('should shift dates by durations', () => {
+      expect(evaluate('due + 7d')).toBe('2026-01-04');
+      expect(evaluate('due - 2w')).toBe('2025-12-14');
+      expect(() => evaluate('weight + 7d')).toThrow('expected a date');
+    });
+
+    test('should shift by hours and evaluate date functions', () => {
+      expect(evaluate('due + 3h')).toBe('2025-12-28T03:00:00Z');
+      expect(evaluate('DATE_ADD(due, 1d)')).toBe('2025-12-29');
+      expect(evaluate('TODAY()')).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(evaluate('NOW()')).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+      expect(() => evaluate('DATE_ADD(title, 1d)')).toThrow('expected a date');
+      expect(() => evaluate('TODAY(due)')).toThrow('TODAY() takes no arguments, got 1');
+    });
+
+    test('should concatenate with CONCAT', () => {
+      expect(evaluate(`CONCAT('[WIP] ', title)`)).toBe('[WIP] Fix');
+      expect(evaluate(`CONCAT(title, ' ', missing, tags)`)).toBe('Fix rpc');
+      expect(() => evaluate(`title + 1`)).toThrow("Cannot apply '+'");
+    });
+  });
+
+  describe('evaluateWhere', () => {
+    const task = { id: 'abc', priority: 'A', tags: ['rpc', 'backend'], weight: 5, title: 'Fix auth' };
+
+    function matches(where) {
+      return evaluateWhere(task, parseQuery(`SELECT * FROM f.md WHERE ${where}`).where);
+    }
+
+    test('should match everything without a WHERE clause', () => {
+      expect(evaluateWhere(task, undefined)).toBe(true);
+    });
+
+    test('should combine conditions with AND/OR/NOT', () => {
+      expect(matches(`priority = 'A' AND tags CONTAINS 'rpc'`)).toBe(true);
+      expect(matches(`priority = 'A' AND tags CONTAINS 'ui'`)).toBe(false);
+      expect(matches(`priority = 'B' OR tags CONTAINS 'rpc'`)).toBe(true);
+      expect(matches(`NOT priority = 'A'`)).toBe(false);
+      expect(matches(`NOT (priority = 'B' OR weight < 3)`)).toBe(true);
+    });
+
+    test('should support comparison operators', () => {
+      expect(matches('weight >= 5')).toBe(true);
+      expect(matches('weight > 5')).toBe(false);
+      expect(matches('weight <= 5')).toBe(true);
+      expect(matches('weight != 5')).toBe(false);
+      expect(matches('weight <> 4')).toBe(true);
+    });
+
+    test('should support IN and NOT IN with array semantics', () => {
+      expect(matches(`priority IN ('A', 'B')`)).toBe(true);
+      expect(matches(`priority NOT IN ('A', 'B')`)).toBe(false);
+      expect(matches(`tags IN ('ui', 'rpc')`)).toBe(true);
+      expect(matches(`tags NOT IN ('ui', 'docs')`)).toBe(true);
+      expect(matches(`weight IN (1, 5)`)).toBe(true);
+    });
+
+    test('should support LIKE patterns', () => {
+      expect(matches(`title LIKE 'Fix%'`)).toBe(true);
+      expect(matches(`title LIKE 'fix%'`)).toBe(false);
+      expect(matches(`title LIKE 'Fix _uth'`)).toBe(true);
+      expect(matches(`tags LIKE 'back%'`)).toBe(true);
+      expect(matches(`title NOT LIKE '%auth'`)).toBe(false);
+      expect(matches(`notes LIKE '%'`)).toBe(false);
+    });
+
+    test('should support BETWEEN inclusively', () => {
+      expect(matches('weight BETWEEN 5 AND 10')).toBe(true);
+      expect(matches('weight BETWEEN 1 AND 4')).toBe(false);
+      expect(matches('weight NOT BETWEEN 1 AND 4')).toBe(true);
+      expect(matches(`title BETWEEN 'A' AND 'G'`)).toBe(true);
+    });
+
+    test('should support MATCHES with regex literals and strings', () => {
+      expect(matches('title MATCHES /AUTH/i')).toBe(true);
+      expect(matches('title MATCHES /AUTH/')).toBe(false);
+      expect(matches(`title MATCHES '^Fix'`)).toBe(true);
+      expect(matches('tags MATCHES /^rp/')).toBe(true);
+      expect(matches('title NOT MATCHES /auth/')).toBe(false);
+    });
+
+    test('should support NOT CONTAINS', () => {
+      expect(matches(`tags NOT CONTAINS 'ui'`)).toBe(true);
+      expect(matches(`tags NOT CONTAINS 'rpc'`)).toBe(false);
+    });
+
+    test('should treat missing booleans as false', () => {
+      expect(matches('completed = false')).toBe(true);
+      expect(matches('completed IS NULL')).toBe(true);
+      expect(matches('title IS NOT NULL')).toBe(true);
+    });
+
+    test('should read fields from node data', () => {
+      const node = { id: 'n1', parent: null, data: { priority: 'B', tags: ['ui'] } };
+      const where = parseQuery(`DELETE FROM f.md WHERE priority = 'B' AND tags CONTAINS 'ui'`).where;
+      expect(evaluateWhere(node, where)).toBe(true);
+    });
+
+    test('should compare dates, durations and priorities by type', () => {
+      const typed = { id: 't', data: { due: '2025-09-10', effort: '3d', priority: 'A' } };
+      const check = where => evaluateWhere(typed, parseQuery(`SELECT * FROM f.md WHERE ${where}`).where);
+      expect(check(`due > '2025-9-5'`)).toBe(true);
+      expect(check(`due = '2025-9-10'`)).toBe(true);
+      expect(check(`effort > 2d`)).toBe(true);
+      expect(check(`effort < 1w`)).toBe(true);
+      expect(check(`priority > 'B'`)).toBe(true);
+      expect(check(`priority IN ('a')`)).toBe(true);
+      expect(check(`due BETWEEN '2025-9-1' AND DATE_ADD('2025-09-01', 2w)`)).toBe(true);
+      expect(check(`due < DATE_ADD(TODAY(), 1d)`)).toBe(true);
+    });
+  });
+});
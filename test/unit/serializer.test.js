@@ -348,5 +348,12 @@ describe('Serializer', () => {
       const thirdTaskLine = lines.find(l => l.includes('Third task'));
       expect(thirdTaskLine).toContain('Third task');
     });
+
+    test('should quote empty and whitespace-only values', () => {
+      const tasks = [{ data: { title: 'Short', empty: '', blank: '  ', id: 'a1' }, children: [], inline: 'x' }];
+      expect(serializeTasksToLines(tasks, { indentSize: 2 })).toEqual(['- "Short" empty: "" blank: "  " id: a1']);
+      const long = [{ data: { title: 'Long', empty: '', desc: 'a description longer than 25 chars', id: 'b2' }, children: [], inline: 'x' }];
+      expect(serializeTasksToLines(long, { indentSize: 2 })).toContain('  empty: ""');
+    });
   });
 });
\ No newline at end of file
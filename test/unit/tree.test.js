@@ -0,0 +1,80 @@
+// tree.test.js
+import { locateTask, detachTask, placeTask, placeTasks } from '../../src/tree.js';
+
+describe('Tree', () => {
+  function buildTree() {
+    return [
+      { id: 'e1', data: { title: 'Engine' }, children: [
+        { id: 'p1', data: { title: 'Pistons' }, children: [] },
+        { id: 'c1', data: { title: 'Crank' }, children: [] }
+      ] },
+      { id: 'pa', data: { title: 'Paint' }, children: [] }
+    ];
+  }
+  const newTask = () => ({ id: 'n1', data: { title: 'New' }, children: [] });
+  const ids = nodes => nodes.map(n => n.id);
+
+  test('should locate a task with its siblings and index', () => {
+    const roots = buildTree();
+    const found = locateTask(roots, 'c1');
+    expect(found.node.data.title).toBe('Crank');
+    expect(found.index).toBe(1);
+    expect(found.siblings).toBe(roots[0].children);
+    expect(locateTask(roots, 'zz')).toBe(null);
+  });
+
+  test('should append at the root without a position', () => {
+    const roots = buildTree();
+    placeTask(roots, newTask());
+    expect(ids(roots)).toEqual(['e1', 'pa', 'n1']);
+  });
+
+  test('should insert as the last child with UNDER', () => {
+    const roots = buildTree();
+    placeTask(roots, newTask(), { type: 'under', id: 'e1' });
+    expect(ids(roots[0].children)).toEqual(['p1', 'c1', 'n1']);
+    placeTask(roots, { id: 'n2', data: {} }, { type: 'under', id: 'n1' });
+    expect(ids(roots[0].children[2].children)).toEqual(['n2']);
+  });
+
+  test('should insert next to a sibling with BEFORE and AFTER', () => {
+    const roots = buildTree();
+    placeTask(roots, newTask(), { type: 'before', id: 'c1' });
+    expect(ids(roots[0].children)).toEqual(['p1', 'n1', 'c1']);
+    placeTask(roots, { id: 'n2', data: {}, children: [] }, { type: 'after', id: 'pa' });
+    expect(ids(roots)).toEqual(['e1', 'pa', 'n2']);
+  });
+
+  test('should locate a node by identity', () => {
+    const roots = buildTree();
+    const crank = roots[0].children[1];
+    expect(locateTask(roots, crank).index).toBe(1);
+    expect(locateTask(roots, { id: 'c1' })).toBe(null);
+  });
+
+  test('should detach a subtree', () => {
+    const roots = buildTree();
+    const epic = roots[0];
+    expect(detachTask(roots, epic)).toBe(true);
+    expect(ids(roots)).toEqual(['pa']);
+    expect(ids(epic.children)).toEqual(['p1', 'c1']);
+    expect(detachTask(roots, epic)).toBe(false);
+  });
+
+  test('should place several nodes in order', () => {
+    const roots = buildTree();
+    const nodes = [{ id: 'n1', data: {} }, { id: 'n2', data: {} }];
+    placeTasks(roots, nodes, { type: 'after', id: 'p1' });
+    expect(ids(roots[0].children)).toEqual(['p1', 'n1', 'n2', 'c1']);
+    placeTasks(roots, [{ id: 'n3', data: {} }], { type: 'root' });
+    expect(ids(roots)).toEqual(['e1', 'pa', 'n3']);
+  });
+
+  test('should resolve id prefixes and reject unknown or ambiguous ones', () => {
+    const roots = buildTree();
+    placeTask(roots, newTask(), { type: 'under', id: 'c' });
+    expect(ids(roots[0].children[1].children)).toEqual(['n1']);
+    expect(() => placeTask(roots, newTask(), { type: 'under', id: 'zz' })).toThrow("No task id matching prefix 'zz'");
+    expect(() => placeTask(roots, newTask(), { type: 'after', id: 'p' })).toThrow('Ambiguous id prefix');
+  });
+});
@@ -0,0 +1,25 @@
+// treeFormatter.test.js
+import { formatAsTree } from '../../src/treeFormatter.js';
+
+describe('Tree Formatter', () => {
+  const leaf = { node: { id: 'l1', data: { title: 'Leaf', completed: true, tags: ['ui'] } }, row: { id: 'l1', parent: 's1', title: 'Leaf', due: '2025-10-01' }, children: [] };
+  const step = { node: { id: 's1', data: { title: 'Step', priority: 'B' } }, row: null, children: [leaf] };
+  const note = { node: { id: 'n1', data: { title: 'Note "x"' } }, row: { id: 'n1', parent: 'e1', desc: 'first line\nsecond', owner: 'Ann Lee' }, children: [] };
+  const epic = { node: { id: 'e1', data: { title: 'Epic', stakeholders: ['Alice'] } }, row: { id: 'e1', parent: null, weight: 3 }, children: [step, note] };
+
+  test('should draw nesting, macros and row fields', () => {
+    expect(formatAsTree([epic])).toBe([
+      '@Alice "Epic" weight: 3',
+      '├── (B "Step")',
+      '│   └── [x] #ui "Leaf" due: 2025-10-01',
+      '└── `Note "x"` desc: "first line…" owner: "Ann Lee"'
+    ].join('\n'));
+  });
+
+  test('should list chosen columns and dim context with color', () => {
+    const text = formatAsTree([epic], { columns: ['id', 'title'], color: true });
+    expect(text).toContain('@Alice "Epic" id: e1\n');
+    expect(text).toContain('├── \x1b[2mB "Step"\x1b[22m\n');
+    expect(formatAsTree([])).toBe('No tasks found.');
+  });
+});
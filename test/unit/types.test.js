@@ -0,0 +1,75 @@
+// types.test.js
+import { parseDateTime, isDate, parseDuration, shiftDateTime, compareTyped, today, DAY_MS } from '../../src/types.js';
+
+describe('Types', () => {
+  describe('parseDateTime', () => {
+    test('should parse dates as midnight UTC, with or without zero padding', () => {
+      expect(parseDateTime('2025-09-05')).toBe(Date.UTC(2025, 8, 5));
+      expect(parseDateTime('2025-9-5')).toBe(Date.UTC(2025, 8, 5));
+      expect(isDate('2025-9-5')).toBe(true);
+      expect(isDate('2025-09-05T10:00')).toBe(false);
+    });
+
+    test('should parse datetimes with optional seconds and offset', () => {
+      expect(parseDateTime('2025-09-05T14:30')).toBe(Date.UTC(2025, 8, 5, 14, 30));
+      expect(parseDateTime('2025-09-05 14:30:15Z')).toBe(Date.UTC(2025, 8, 5, 14, 30, 15));
+      expect(parseDateTime('2025-09-05T14:30+02:00')).toBe(Date.UTC(2025, 8, 5, 12, 30));
+    });
+
+    test('should reject text and impossible dates', () => {
+      expect(parseDateTime('soon')).toBeNull();
+      expect(parseDateTime('2025-02-30')).toBeNull();
+      expect(parseDateTime('2025-09-05T25:00')).toBeNull();
+      expect(parseDateTime(20250905)).toBeNull();
+    });
+  });
+
+  describe('parseDuration', () => {
+    test('should add up weeks, days, hours and minutes', () => {
+      expect(parseDuration('2w')).toBe(14 * DAY_MS);
+      expect(parseDuration('1d4h')).toBe(DAY_MS + 4 * 3600000);
+      expect(parseDuration('90m')).toBe(90 * 60000);
+      expect(parseDuration('-1d')).toBe(-DAY_MS);
+      expect(parseDuration('5 days')).toBeNull();
+    });
+  });
+
+  describe('shiftDateTime', () => {
+    test('should keep dates as dates for whole days', () => {
+      expect(shiftDateTime('2025-12-28', 7 * DAY_MS)).toBe('2026-01-04');
+      expect(shiftDateTime('2025-12-28', 3 * 3600000)).toBe('2025-12-28T03:00:00Z');
+      expect(shiftDateTime('2025-12-28T23:00Z', 2 * 3600000)).toBe('2025-12-29T01:00:00Z');
+      expect(shiftDateTime('later', DAY_MS)).toBeNull();
+    });
+  });
+
+  describe('compareTyped', () => {
+    test('should order dates and datetimes by time', () => {
+      expect(compareTyped('2025-10-01', '2025-9-5')).toBe(1);
+      expect(compareTyped('2025-9-5', '2025-09-05')).toBe(0);
+      expect(compareTyped('2025-09-05T00:30', '2025-09-05')).toBe(1);
+    });
+
+    test('should order durations by length', () => {
+      expect(compareTyped('3d', '2d')).toBe(1);
+      expect(compareTyped('50h', '2d')).toBe(1);
+      expect(compareTyped('1w', '7d')).toBe(0);
+    });
+
+    test('should rank priorities A highest, only in priority fields', () => {
+      expect(compareTyped('A', 'B', 'priority')).toBe(1);
+      expect(compareTyped('d', 'C', 'parent.priority')).toBe(-1);
+      expect(compareTyped('A', 'B', 'title')).toBeNull();
+    });
+
+    test('should return null for mixed or untyped values', () => {
+      expect(compareTyped('2025-09-05', '3d')).toBeNull();
+      expect(compareTyped('abc', 'abd')).toBeNull();
+      expect(compareTyped(5, 3)).toBeNull();
+    });
+  });
+
+  test('today should be a local YYYY-MM-DD date', () => {
+    expect(isDate(today())).toBe(true);
+  });
+});
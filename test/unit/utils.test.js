@@ -4,8 +4,15 @@ import {
   collectTasks,
   resolveIdByPrefix,
   getSortValue,
-  multiKeySort
+  multiKeySort,
+  compareText,
+  isGlobPattern,
+  globToRegExp,
+  expandGlob
 } from '../../src/utils.js';
+import fs from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
 
 describe('Utils', () => {
   describe('computeDeterministicId', () => {
@@ -152,6 +159,15 @@ describe('Utils', () => {
       const fullId = resolveIdByPrefix(mockTasks, 'abc12345');
       expect(fullId).toBe('abc12345');
     });
+
+    test('should prefer an exact id over longer ids sharing the prefix', () => {
+      const tasks = [
+        { id: 'p1', data: {}, children: [{ id: 'p10', data: {}, children: [] }] },
+        { id: 12345678, data: {}, children: [] }
+      ];
+      expect(resolveIdByPrefix(tasks, 'p1')).toBe('p1');
+      expect(resolveIdByPrefix(tasks, '1234')).toBe(12345678);
+    });
   });
 
   describe('getSortValue', () => {
@@ -215,10 +231,11 @@ describe('Utils', () => {
       const tasks = [...mockTasks];
       multiKeySort(tasks, [{ key: 'priority', dir: 'asc' }]);
 
-      expect(tasks[0].data.priority).toBe('A');
-      expect(tasks[1].data.priority).toBe('A');
-      expect(tasks[2].data.priority).toBe('B');
-      expect(tasks[3].data.priority).toBe('B');
+      // Priorities rank A highest, so ascending puts B before A
+      expect(tasks[0].data.priority).toBe('B');
+      expect(tasks[1].data.priority).toBe('B');
+      expect(tasks[2].data.priority).toBe('A');
+      expect(tasks[3].data.priority).toBe('A');
     });
 
     test('should sort by single key descending', () => {
@@ -234,7 +251,7 @@ describe('Utils', () => {
     test('should sort by multiple keys', () => {
       const tasks = [...mockTasks];
       multiKeySort(tasks, [
-        { key: 'priority', dir: 'asc' },
+        { key: 'priority', dir: 'desc' },
         { key: 'weight', dir: 'desc' },
         { key: 'due', dir: 'asc' }
       ]);
@@ -257,10 +274,10 @@ describe('Utils', () => {
 
       multiKeySort(tasksWithUndefined, [{ key: 'priority', dir: 'asc' }]);
 
-      // Undefined values should sort first
+      // Undefined values should sort first, then B before A
       expect(tasksWithUndefined[0].id).toBe('task2');
-      expect(tasksWithUndefined[1].id).toBe('task1');
-      expect(tasksWithUndefined[2].id).toBe('task3');
+      expect(tasksWithUndefined[1].id).toBe('task3');
+      expect(tasksWithUndefined[2].id).toBe('task1');
     });
 
     test('should handle numeric vs string comparison', () => {
@@ -276,5 +293,100 @@ describe('Utils', () => {
       expect(mixedTasks[1].data.weight).toBe(5);
       expect(mixedTasks[2].data.weight).toBe(10);
     });
+
+    test('should place missing values by NULLS FIRST/LAST', () => {
+      const tasks = [
+        { id: 'task1', data: { weight: 5 } },
+        { id: 'task2', data: {} },
+        { id: 'task3', data: { weight: null } },
+        { id: 'task4', data: { weight: 2 } }
+      ];
+      multiKeySort(tasks, [{ key: 'weight', dir: 'asc', nulls: 'last' }]);
+      expect(tasks.map(t => t.id)).toEqual(['task4', 'task1', 'task2', 'task3']);
+      multiKeySort(tasks, [{ key: 'weight', dir: 'desc', nulls: 'first' }]);
+      expect(tasks.map(t => t.id)).toEqual(['task2', 'task3', 'task1', 'task4']);
+      multiKeySort(tasks, [{ key: 'weight', dir: 'desc' }]);
+      expect(tasks.map(t => t.id)).toEqual(['task1', 'task4', 'task2', 'task3']);
+    });
+
+    test('should sort by collation and FIELD() lists', () => {
+      const tasks = [
+        { id: 'task1', data: { title: 'task 10', status: 'done' } },
+        { id: 'task2', data: { title: 'Task 2', status: 'blocked' } },
+        { id: 'task3', data: { title: 'task 1', status: 'doing' } }
+      ];
+      multiKeySort(tasks, [{ key: 'title', dir: 'asc', collate: 'natural' }]);
+      expect(tasks.map(t => t.id)).toEqual(['task3', 'task2', 'task1']);
+      multiKeySort(tasks, [{ key: 'status', dir: 'asc', values: ['doing', 'todo', 'done'] }]);
+      expect(tasks.map(t => t.id)).toEqual(['task3', 'task1', 'task2']);
+    });
+  });
+
+  describe('compareText', () => {
+    test('should compare by code unit, ignoring case or naturally', () => {
+      expect(compareText('B', 'a')).toBe(-1);
+      expect(compareText('B', 'a', 'nocase')).toBe(1);
+      expect(compareText('Task', 'task', 'nocase')).toBe(0);
+      expect(compareText('task 10', 'task 2')).toBe(-1);
+      expect(compareText('task 10', 'Task 2', 'natural')).toBe(1);
+      expect(compareText('v1.2.10', 'v1.2.9', 'natural')).toBe(1);
+      expect(compareText('item', 'item 1', 'natural')).toBe(-1);
+    });
+  });
+
+  describe('isGlobPattern', () => {
+    test('should detect wildcards', () => {
+      expect(isGlobPattern('projects/**/*.task.md')).toBe(true);
+      expect(isGlobPattern('task?.md')).toBe(true);
+      expect(isGlobPattern('projects/tasks.md')).toBe(false);
+    });
+  });
+
+  describe('globToRegExp', () => {
+    test('should keep * and ? within one path segment', () => {
+      const re = globToRegExp('projects/*.md');
+      expect(re.test('projects/a.md')).toBe(true);
+      expect(re.test('projects/sub/a.md')).toBe(false);
+      expect(globToRegExp('task?.md').test('task1.md')).toBe(true);
+    });
+
+    test('should let ** span zero or more directories', () => {
+      const re = globToRegExp('projects/**/*.task.md');
+      expect(re.test('projects/a.task.md')).toBe(true);
+      expect(re.test('projects/x/y/a.task.md')).toBe(true);
+      expect(re.test('other/a.task.md')).toBe(false);
+    });
+
+    test('should escape regex characters', () => {
+      expect(globToRegExp('a.md').test('aXmd')).toBe(false);
+    });
+  });
+
+  describe('expandGlob', () => {
+    const root = path.join(tmpdir(), `todo-glob-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    fs.mkdirSync(path.join(root, 'a', 'b'), { recursive: true });
+    fs.mkdirSync(path.join(root, '.hidden'), { recursive: true });
+    for (const f of ['x.task.md', 'a/y.task.md', 'a/b/z.task.md', 'a/b/notes.md', '.hidden/h.task.md']) {
+      fs.writeFileSync(path.join(root, f), '', 'utf8');
+    }
+
+    test('should expand recursive patterns in sorted order', () => {
+      expect(expandGlob(`${root}/**/*.task.md`)).toEqual([
+        `${root}/a/b/z.task.md`,
+        `${root}/a/y.task.md`,
+        `${root}/x.task.md`
+      ]);
+    });
+
+    test('should not descend further than a non-recursive pattern', () => {
+      expect(expandGlob(`${root}/*/*.md`)).toEqual([`${root}/a/y.task.md`]);
+    });
+
+    test('should return plain paths only when they exist', () => {
+      expect(expandGlob(`${root}/x.task.md`)).toEqual([`${root}/x.task.md`]);
+      expect(expandGlob(`${root}/missing.md`)).toEqual([]);
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
   });
 });
\ No newline at end of file
@@ -0,0 +1,89 @@
+// yaml.test.js
+import { parseYaml, stringifyYaml } from '../../src/yaml.js';
+
+describe('YAML', () => {
+  test('should parse nested mappings, sequences and typed scalars', () => {
+    const doc = parseYaml([
+      '---',
+      '# views for the team',
+      'format: table',
+      'limit: 10',
+      'enabled: true',
+      'empty: ~',
+      'none: []',
+      'views:',
+      '  mine:',
+      '    query: "SELECT * FROM a.md"  # trailing comment',
+      '    columns:',
+      '      - title',
+      '      - due',
+      'items:',
+      '- plain',
+      "- name: 'it''s'",
+      '  size: 1.5',
+      '- - nested',
+      '- http://example.com:80/a#b'
+    ].join('\n'));
+    expect(doc).toEqual({
+      format: 'table',
+      limit: 10,
+      enabled: true,
+      empty: null,
+      none: [],
+      views: { mine: { query: 'SELECT * FROM a.md', columns: ['title', 'due'] } },
+      items: ['plain', { name: "it's", size: 1.5 }, ['nested'], 'http://example.com:80/a#b']
+    });
+    expect(parseYaml('[]')).toEqual([]);
+    expect(parseYaml('')).toBe(null);
+  });
+
+  test('should parse | block scalars with chomping indicators', () => {
+    const doc = parseYaml([
+      'clip: |',
+      '  line one',
+      '',
+      '  line two',
+      'strip: |-',
+      '  SELECT *',
+      '  FROM a.md',
+      'keep: |+',
+      '  kept',
+      '',
+      'last: end'
+    ].join('\n'));
+    expect(doc).toEqual({ clip: 'line one\n\nline two\n', strip: 'SELECT *\nFROM a.md', keep: 'kept\n\n', last: 'end' });
+  });
+
+  test('should reject YAML outside the subset with the line', () => {
+    expect(() => parseYaml('a: &x 1\nb: *x')).toThrow('YAML error at line 1: anchors and aliases are not supported');
+    expect(() => parseYaml('a: !!str 1')).toThrow('tags are not supported');
+    expect(() => parseYaml('a:\n  b: [1, 2]')).toThrow('YAML error at line 2: flow collections are not supported');
+    expect(() => parseYaml('- {a: 1}')).toThrow('flow collections are not supported');
+    expect(() => parseYaml('a: >-\n  folded')).toThrow('folded block scalars (>) are not supported');
+    expect(() => parseYaml('a: SELECT *\n  FROM b.md')).toThrow('YAML error at line 2: Unexpected indentation (plain values must fit on one line');
+    expect(() => parseYaml('a: 1\n---\nb: 2')).toThrow('YAML error at line 2: Only one document is supported');
+    expect(() => parseYaml('a: b: c')).toThrow("Plain values cannot contain ': '");
+    expect(() => parseYaml('? a\n: b')).toThrow('unsupported syntax');
+  });
+
+  test('should report errors with line numbers', () => {
+    expect(() => parseYaml('a: 1\n  b: 2')).toThrow('YAML error at line 2');
+    expect(() => parseYaml('a: 1\na: 2')).toThrow("Duplicate key 'a'");
+    expect(() => parseYaml('a: "open')).toThrow('YAML error at line 1: Unterminated string');
+    expect(() => parseYaml('a: "x" y')).toThrow('Unexpected text after "x"');
+    expect(() => parseYaml('a:\n\tb: 1')).toThrow('Tabs are not allowed');
+    expect(() => parseYaml('just text\nmore')).toThrow("YAML error at line 2: Unexpected 'more'");
+  });
+
+  test('should stringify values that parse back unchanged', () => {
+    const value = [
+      { id: 'a1', title: 'Write, review', weight: 2, done: false, note: null, tags: ['ui', 'docs'] },
+      { title: 'true', due: '2025-10-01', desc: 'line one\nsay "hi"', empty: [], children: [{ title: '# not a comment', when: '12:30' }] }
+    ];
+    const text = stringifyYaml(value);
+    expect(text).toContain('- id: a1\n  title: Write, review\n');
+    expect(text).toContain('  desc: |-\n    line one\n    say "hi"\n');
+    expect(parseYaml(text)).toEqual(value);
+    expect(parseYaml(stringifyYaml({ rows: [], next: null }))).toEqual({ rows: [], next: null });
+  });
+});